@@ -1,222 +1,934 @@
-const { body, validationResult } = require('express-validator');
-
-// Validation middleware
-const validate = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors: errors.array()
-    });
-  }
-  next();
-};
-
-// User registration validation
-const validateRegistration = [
-  body('name')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Name must be between 2 and 100 characters'),
-  
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email')
-    .custom(async (value) => {
-      // Block temporary email domains
-      const tempDomains = [
-        '10minutemail.com', 'guerrillamail.com', 'tempmail.org',
-        'throwaway.email', 'maildrop.cc', 'temp-mail.org'
-      ];
-      
-      const domain = value.split('@')[1];
-      if (tempDomains.includes(domain)) {
-        throw new Error('Temporary email addresses are not allowed');
-      }
-      return true;
-    }),
-  
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
-];
-
-// User login validation
-const validateLogin = [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email'),
-  
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required')
-];
-
-// App creation validation
-const validateAppCreation = [
-  body('name')
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('App name must be between 1 and 100 characters')
-    .matches(/^[a-zA-Z0-9\s\-_]+$/)
-    .withMessage('App name can only contain letters, numbers, spaces, hyphens, and underscores')
-];
-
-// App update validation
-const validateAppUpdate = [
-  body('name')
-    .optional()
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('App name must be between 1 and 100 characters'),
-  
-  body('version')
-    .optional()
-    .matches(/^\d+\.\d+\.\d+$/)
-    .withMessage('Version must be in format x.y.z'),
-  
-  body('paused')
-    .optional()
-    .isBoolean()
-    .withMessage('Paused must be a boolean'),
-  
-  body('settings.hwidLock')
-    .optional()
-    .isBoolean()
-    .withMessage('HWID lock must be a boolean'),
-  
-  body('settings.allowCustomLicenseKey')
-    .optional()
-    .isBoolean()
-    .withMessage('Allow custom license key must be a boolean')
-];
-
-// License creation validation
-const validateLicenseCreation = [
-  body('app')
-    .isMongoId()
-    .withMessage('Valid app ID is required'),
-  
-  body('key')
-    .optional()
-    .isLength({ min: 8, max: 50 })
-    .withMessage('License key must be between 8 and 50 characters'),
-  
-  body('expiresAt')
-    .isISO8601()
-    .withMessage('Valid expiration date is required')
-    .custom((value) => {
-      if (new Date(value) <= new Date()) {
-        throw new Error('Expiration date must be in the future');
-      }
-      return true;
-    }),
-  
-  body('note')
-    .optional()
-    .isLength({ max: 500 })
-    .withMessage('Note cannot exceed 500 characters')
-];
-
-// License update validation
-const validateLicenseUpdate = [
-  body('status')
-    .optional()
-    .isIn(['ACTIVE', 'REVOKED', 'EXPIRED', 'BANNED'])
-    .withMessage('Invalid status'),
-  
-  body('expiresAt')
-    .optional()
-    .isISO8601()
-    .withMessage('Valid expiration date is required'),
-  
-  body('note')
-    .optional()
-    .isLength({ max: 500 })
-    .withMessage('Note cannot exceed 500 characters')
-];
-
-// Reseller creation validation
-const validateResellerCreation = [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Valid email is required'),
-  
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
-  
-  body('app_id')
-    .isMongoId()
-    .withMessage('Valid app ID is required'),
-  
-  body('allowed_license_keys')
-    .optional()
-    .isInt({ min: -1 })
-    .withMessage('License limit must be -1 (unlimited) or a positive number')
-];
-
-// Client registration validation
-const validateClientRegistration = [
-  body('username')
-    .trim()
-    .isLength({ min: 3, max: 50 })
-    .withMessage('Username must be between 3 and 50 characters')
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
-  
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
-  
-  body('licenseKey')
-    .notEmpty()
-    .withMessage('License key is required'),
-  
-  body('hwid')
-    .notEmpty()
-    .withMessage('HWID is required')
-];
-
-// Client login validation
-const validateClientLogin = [
-  body('username')
-    .trim()
-    .notEmpty()
-    .withMessage('Username is required'),
-  
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required'),
-  
-  body('hwid')
-    .notEmpty()
-    .withMessage('HWID is required'),
-  
-  body('appId')
-    .notEmpty()
-    .withMessage('App ID is required'),
-  
-  body('appSecret')
-    .notEmpty()
-    .withMessage('App Secret is required')
-];
-
-module.exports = {
-  validate,
-  validateRegistration,
-  validateLogin,
-  validateAppCreation,
-  validateAppUpdate,
-  validateLicenseCreation,
-  validateLicenseUpdate,
-  validateResellerCreation,
-  validateClientRegistration,
-  validateClientLogin
+const { body, query, validationResult } = require('express-validator');
+const { isValidRange } = require('../utils/ipFilter');
+const { checkKeyFormat } = require('../utils/licenseKeys');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// User registration validation
+const validateRegistration = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+    .custom(async (value) => {
+      // Block temporary email domains
+      const tempDomains = [
+        '10minutemail.com', 'guerrillamail.com', 'tempmail.org',
+        'throwaway.email', 'maildrop.cc', 'temp-mail.org'
+      ];
+      
+      const domain = value.split('@')[1];
+      if (tempDomains.includes(domain)) {
+        throw new Error('Temporary email addresses are not allowed');
+      }
+      return true;
+    }),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+];
+
+// User login validation
+const validateLogin = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+// App creation validation
+const validateAppCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('App name must be between 1 and 100 characters')
+    .matches(/^[a-zA-Z0-9\s\-_]+$/)
+    .withMessage('App name can only contain letters, numbers, spaces, hyphens, and underscores')
+];
+
+// App update validation
+const validateAppUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('App name must be between 1 and 100 characters'),
+  
+  body('version')
+    .optional()
+    .matches(/^\d+\.\d+\.\d+$/)
+    .withMessage('Version must be in format x.y.z'),
+  
+  body('paused')
+    .optional()
+    .isBoolean()
+    .withMessage('Paused must be a boolean')
+    .toBoolean(),
+  
+  body('pauseReason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Pause reason cannot exceed 500 characters'),
+  
+  body('compensate')
+    .optional()
+    .isBoolean()
+    .withMessage('Compensate must be a boolean')
+    .toBoolean(),
+  
+  body('settings.hwidLock')
+    .optional()
+    .isBoolean()
+    .withMessage('HWID lock must be a boolean'),
+  
+  body('settings.allowCustomLicenseKey')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow custom license key must be a boolean'),
+  
+  body('settings.sessionDuration')
+    .optional()
+    .isInt({ min: 1, max: 10080 })
+    .withMessage('Session duration must be between 1 and 10080 minutes'),
+  
+  body('settings.blockVpn')
+    .optional()
+    .isBoolean()
+    .withMessage('Block VPN must be a boolean'),
+  
+  body('settings.hashCheck')
+    .optional()
+    .isBoolean()
+    .withMessage('Hash check must be a boolean'),
+  
+  body('settings.hashLearning')
+    .optional()
+    .isBoolean()
+    .withMessage('Hash learning must be a boolean'),
+  
+  body('settings.checkLeakedPasswords')
+    .optional()
+    .isBoolean()
+    .withMessage('Check leaked passwords must be a boolean'),
+  
+  body('settings.authMode')
+    .optional()
+    .isIn(['username', 'license'])
+    .withMessage('Auth mode must be "username" or "license"'),
+  
+  body('settings.defaultMaxDevices')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Default max devices must be between 1 and 100'),
+  
+  body('settings.hwidSelfReset')
+    .optional()
+    .isBoolean()
+    .withMessage('HWID self reset must be a boolean'),
+  
+  body('settings.hwidResetCooldown')
+    .optional()
+    .isInt({ min: 0, max: 8760 })
+    .withMessage('HWID reset cooldown must be between 0 and 8760 hours'),
+  
+  body('settings.hwidResetMonthlyQuota')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('HWID reset monthly quota must be between 0 and 100')
+];
+
+// Check that a license body sets exactly one of a fixed expiry, a duration or lifetime
+const hasOneExpiry = (value) => {
+  const choices = [value.expiresAt, value.duration, value.lifetime === true || undefined];
+  return choices.filter(choice => choice !== undefined && choice !== null).length === 1;
+};
+
+// New license expiry validation: a future date, a duration in days or lifetime
+const validateLicenseExpiry = [
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid expiration date is required')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiration date must be in the future');
+      }
+      return true;
+    }),
+  
+  body('duration')
+    .optional()
+    .isInt({ min: 1, max: 36500 })
+    .withMessage('Duration must be between 1 and 36500 days'),
+  
+  body('lifetime')
+    .optional()
+    .isBoolean()
+    .withMessage('Lifetime must be a boolean')
+    .toBoolean(),
+  
+  body()
+    .custom(hasOneExpiry)
+    .withMessage('Provide exactly one of expiresAt, duration or lifetime')
+];
+
+// License entitlement validation: a license template of the app and/or explicit values
+// (checked against the app's definitions in the route)
+const validateLicenseEntitlements = [
+  body('template')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Template must be a valid license template ID'),
+  
+  body('entitlements')
+    .optional()
+    .isObject()
+    .withMessage('Entitlements must be an object of entitlement values')
+];
+
+// License subscription validation (checked against the app's subscriptions in the route)
+const validateLicenseSubscription = [
+  body('subscription')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Subscription must be the name of one of the app\'s subscriptions')
+];
+
+// License creation validation
+const validateLicenseCreation = [
+  body('app')
+    .isMongoId()
+    .withMessage('Valid app ID is required'),
+  
+  body('key')
+    .optional()
+    .isLength({ min: 8, max: 50 })
+    .withMessage('License key must be between 8 and 50 characters'),
+  
+  ...validateLicenseExpiry,
+  ...validateLicenseEntitlements,
+  ...validateLicenseSubscription,
+  
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  body('maxDevices')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Max devices must be between 1 and 100')
+];
+
+// Bulk license generation validation
+const validateBulkLicenseCreation = [
+  body('app')
+    .isMongoId()
+    .withMessage('Valid app ID is required'),
+  
+  body('count')
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Count must be between 1 and 10000')
+    .toInt(),
+  
+  body()
+    .custom((value) => {
+      const problem = checkKeyFormat({
+        count: parseInt(value.count) || 1,
+        mask: value.mask,
+        prefix: value.prefix,
+        charset: value.charset
+      });
+      if (problem) throw new Error(problem);
+      return true;
+    }),
+  
+  ...validateLicenseExpiry,
+  ...validateLicenseEntitlements,
+  ...validateLicenseSubscription,
+  
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  body('maxDevices')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Max devices must be between 1 and 100')
+];
+
+// License import validation
+const validateLicenseImport = [
+  body('app')
+    .isMongoId()
+    .withMessage('Valid app ID is required'),
+  
+  body('format')
+    .optional()
+    .isIn(['json', 'csv', 'txt'])
+    .withMessage('Format must be json, csv or txt'),
+  
+  body('data')
+    .custom((value, { req }) => {
+      const format = req.body.format || 'json';
+      return format === 'json' ? Array.isArray(value) : typeof value === 'string';
+    })
+    .withMessage('Data must be an array for json, or the file contents as a string for csv and txt'),
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid expiration date is required'),
+  
+  body('duration')
+    .optional()
+    .isInt({ min: 1, max: 36500 })
+    .withMessage('Duration must be between 1 and 36500 days'),
+  
+  body('lifetime')
+    .optional()
+    .isBoolean()
+    .withMessage('Lifetime must be a boolean')
+    .toBoolean(),
+  
+  ...validateLicenseEntitlements,
+  ...validateLicenseSubscription,
+  
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+// License search filters, read from the query string by GET /licenses and its export and
+// from the body's filter object by bulk actions; field picks where they are read from
+const licenseSearchFilters = (field) => [
+  field('status')
+    .optional()
+    .isIn(['ACTIVE', 'REVOKED', 'EXPIRED', 'BANNED'])
+    .withMessage('Invalid status'),
+  
+  field(['app', 'reseller'])
+    .optional()
+    .isMongoId()
+    .withMessage('App and reseller must be valid IDs'),
+  
+  field('used')
+    .optional()
+    .isBoolean()
+    .withMessage('Used must be a boolean'),
+  
+  field('createdByType')
+    .optional()
+    .isIn(['owner', 'reseller'])
+    .withMessage('Creator type must be owner or reseller'),
+  
+  field(['createdFrom', 'createdTo', 'expiresFrom', 'expiresTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date filters must be valid dates'),
+  
+  field(['keyPrefix', 'keyContains', 'note', 'redeemedBy'])
+    .optional()
+    .isString()
+    .withMessage('Text filters must be strings')
+    .isLength({ max: 100 })
+    .withMessage('Text filters cannot exceed 100 characters')
+];
+
+// License search validation (GET /licenses and its export)
+const validateLicenseSearch = [
+  ...licenseSearchFilters(query),
+  
+  query('sort')
+    .optional()
+    .isIn(['createdAt', 'expiresAt', 'key', 'note', 'used', 'createdByType', 'reseller', 'status'])
+    .withMessage('Sort must be one of createdAt, expiresAt, key, note, used, createdByType, reseller, status'),
+  
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000')
+    .toInt()
+];
+
+// Bulk license action validation
+const validateBulkLicenseAction = [
+  body('action')
+    .isIn(['ban', 'unban', 'revoke', 'extend', 'setNote', 'delete'])
+    .withMessage('Action must be ban, unban, revoke, extend, setNote or delete'),
+  
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 10000 })
+    .withMessage('IDs must be an array of 1 to 10000 license IDs'),
+  
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid license ID'),
+  
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('Filter must be an object of search filters'),
+  
+  ...licenseSearchFilters(fields => body([].concat(fields).map(name => `filter.${name}`))),
+  
+  body()
+    .custom((value) => (value.ids === undefined) !== (value.filter === undefined))
+    .withMessage('Provide either ids or filter'),
+  
+  body('days')
+    .if(body('action').equals('extend'))
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Days must be between 1 and 3650')
+    .toInt(),
+  
+  body('note')
+    .if(body('action').equals('setNote'))
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note must be a string of at most 500 characters'),
+  
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('Dry run must be a boolean')
+    .toBoolean()
+];
+
+// License update validation
+const validateLicenseUpdate = [
+  body('status')
+    .optional()
+    .isIn(['ACTIVE', 'REVOKED', 'EXPIRED', 'BANNED'])
+    .withMessage('Invalid status'),
+  
+  ...validateLicenseEntitlements,
+  ...validateLicenseSubscription,
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid expiration date is required'),
+  
+  body('duration')
+    .optional()
+    .isInt({ min: 1, max: 36500 })
+    .withMessage('Duration must be between 1 and 36500 days'),
+  
+  body('lifetime')
+    .optional()
+    .isBoolean()
+    .withMessage('Lifetime must be a boolean')
+    .toBoolean(),
+  
+  body()
+    .custom((value) => {
+      // Switching expiry type takes one of the three at a time
+      return hasOneExpiry(value) || [value.expiresAt, value.duration, value.lifetime].every(choice => choice === undefined);
+    })
+    .withMessage('Provide at most one of expiresAt, duration or lifetime'),
+  
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  body('maxDevices')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Max devices must be between 1 and 100')
+];
+
+// Reseller creation validation
+const validateResellerCreation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  
+  body('app_id')
+    .isMongoId()
+    .withMessage('Valid app ID is required'),
+  
+  body('allowed_license_keys')
+    .optional()
+    .isInt({ min: -1 })
+    .withMessage('License limit must be -1 (unlimited) or a positive number')
+];
+
+// Program hash and version a client build reports (checked when the app has hash checks on)
+const validateClientBuild = [
+  body('hash')
+    .optional()
+    .trim()
+    .matches(/^[a-fA-F0-9]{32,128}$/)
+    .withMessage('Hash must be a hex digest between 32 and 128 characters'),
+  
+  body('version')
+    .optional()
+    .matches(/^\d+\.\d+\.\d+$/)
+    .withMessage('Version must be in format x.y.z')
+];
+
+// Client registration validation
+const validateClientRegistration = [
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  
+  body('licenseKey')
+    .notEmpty()
+    .withMessage('License key is required'),
+  
+  body('hwid')
+    .notEmpty()
+    .withMessage('HWID is required'),
+  
+  body('appId')
+    .notEmpty()
+    .withMessage('App ID is required'),
+  
+  body('appSecret')
+    .notEmpty()
+    .withMessage('App Secret is required'),
+  
+  ...validateClientBuild
+];
+
+// Client login validation
+const validateClientLogin = [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required'),
+  
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  body('hwid')
+    .notEmpty()
+    .withMessage('HWID is required'),
+  
+  body('appId')
+    .notEmpty()
+    .withMessage('App ID is required'),
+  
+  body('appSecret')
+    .notEmpty()
+    .withMessage('App Secret is required'),
+  
+  ...validateClientBuild
+];
+
+// HWID blacklist entry validation
+const validateBlacklistEntry = [
+  body('hwid')
+    .trim()
+    .notEmpty()
+    .withMessage('HWID is required'),
+  
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Valid expiration date is required')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiration date must be in the future');
+      }
+      return true;
+    })
+];
+
+// App IP rules validation
+const validateIpRules = [
+  body(['allow', 'deny'])
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('IP rules must be arrays of at most 1000 entries'),
+  
+  body(['allow.*', 'deny.*'])
+    .custom((value) => {
+      if (!isValidRange(value)) {
+        throw new Error(`"${value}" is not a valid IP address or CIDR range`);
+      }
+      return true;
+    })
+];
+
+// Account-sharing rules validation
+const validateSharingRules = [
+  body(['enabled', 'impossibleTravel'])
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled and impossibleTravel must be booleans')
+    .toBoolean(),
+  
+  body('windowHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Window must be between 1 and 720 hours'),
+  
+  body(['maxIps', 'maxHwids'])
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Distinct IP/HWID limits must be positive integers or null'),
+  
+  body('maxTravelSpeed')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max travel speed must be a positive integer (km/h)'),
+  
+  body('action')
+    .optional()
+    .isIn(['flag', 'ban', 'resetHwid'])
+    .withMessage('Action must be flag, ban or resetHwid')
+];
+
+// Entitlement definitions validation (the app's full list)
+const validateEntitlementDefinitions = [
+  body('entitlements')
+    .isArray({ max: 100 })
+    .withMessage('Entitlements must be an array of at most 100 definitions')
+    .custom((definitions) => {
+      const keys = definitions.map(definition => definition && definition.key);
+      return new Set(keys).size === keys.length;
+    })
+    .withMessage('Entitlement keys must be unique'),
+  
+  body('entitlements.*.key')
+    .matches(/^[A-Za-z][A-Za-z0-9_-]{0,49}$/)
+    .withMessage('Entitlement keys must start with a letter and have up to 50 letters, digits, "_" or "-"'),
+  
+  body('entitlements.*.kind')
+    .isIn(['flag', 'limit'])
+    .withMessage('Entitlement kind must be flag or limit'),
+  
+  body('entitlements.*.defaultValue')
+    .optional({ values: 'null' })
+    .custom((value, { req, path }) => {
+      const index = parseInt(path.match(/\[(\d+)\]/)[1]);
+      const kind = req.body.entitlements[index].kind;
+      return kind === 'flag' ? typeof value === 'boolean' : typeof value === 'number' && value >= 0;
+    })
+    .withMessage('Default values must be true/false for flags and a number of at least 0 for limits'),
+  
+  body('entitlements.*.description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters')
+];
+
+// Subscription definitions validation (the app's full list)
+const validateSubscriptionDefinitions = [
+  body('subscriptions')
+    .isArray({ max: 50 })
+    .withMessage('Subscriptions must be an array of at most 50 definitions')
+    .custom((definitions) => {
+      const names = definitions.map(definition => definition && typeof definition.name === 'string' && definition.name.trim());
+      return new Set(names).size === names.length;
+    })
+    .withMessage('Subscription names must be unique'),
+  
+  body('subscriptions.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Subscription names must be between 1 and 50 characters'),
+  
+  body('subscriptions.*.level')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Subscription level must be between 0 and 1000')
+    .toInt(),
+  
+  body('subscriptions.*.description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters')
+];
+
+// License template validation
+const validateLicenseTemplate = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Template name must be between 1 and 50 characters'),
+  
+  body('entitlements')
+    .optional()
+    .isObject()
+    .withMessage('Entitlements must be an object of entitlement values')
+];
+
+// Program hash validation
+const validateProgramHash = [
+  body('hash')
+    .trim()
+    .matches(/^[a-fA-F0-9]{32,128}$/)
+    .withMessage('Hash must be a hex digest between 32 and 128 characters'),
+  
+  body('version')
+    .optional()
+    .matches(/^\d+\.\d+\.\d+$/)
+    .withMessage('Version must be in format x.y.z'),
+  
+  body('note')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+// Client license-only login validation
+const validateLicenseLogin = [
+  body('key')
+    .trim()
+    .notEmpty()
+    .withMessage('License key is required'),
+  
+  body('hwid')
+    .notEmpty()
+    .withMessage('HWID is required'),
+  
+  body('appId')
+    .notEmpty()
+    .withMessage('App ID is required'),
+  
+  body('appSecret')
+    .notEmpty()
+    .withMessage('App Secret is required'),
+  
+  ...validateClientBuild
+];
+
+// Client HWID self-reset validation
+const validateHwidSelfReset = [
+  body('appId')
+    .notEmpty()
+    .withMessage('App ID is required'),
+  
+  body('appSecret')
+    .notEmpty()
+    .withMessage('App Secret is required'),
+  
+  // Credentials go into client lookups, so only plain strings are accepted
+  body(['username', 'key'])
+    .optional()
+    .isString()
+    .withMessage('Username and key must be strings')
+    .trim(),
+  
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  
+  ...validateClientBuild
+];
+
+// Maintenance window validation
+const validateMaintenanceWindow = [
+  body('startsAt')
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  
+  body('endsAt')
+    .isISO8601()
+    .withMessage('Valid end date is required')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('End date must be in the future');
+      }
+      return true;
+    }),
+  
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  body('compensate')
+    .optional()
+    .isBoolean()
+    .withMessage('Compensate must be a boolean')
+    .toBoolean()
+];
+
+// Client login event query validation
+const validateLoginEventQuery = [
+  query('type')
+    .optional()
+    .isIn(['register', 'login', 'license-login', 'validate-session'])
+    .withMessage('Type must be register, login, license-login or validate-session'),
+  
+  query('success')
+    .optional()
+    .isBoolean()
+    .withMessage('Success must be a boolean')
+    .toBoolean(),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+// Trash listing query validation
+const validateTrashQuery = [
+  query('type')
+    .optional()
+    .isIn(['app', 'license', 'client'])
+    .withMessage('Type must be app, license or client'),
+  
+  query('app')
+    .optional()
+    .isMongoId()
+    .withMessage('App must be a valid app ID'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+// Client session validation
+const validateClientSession = [
+  body('sessionToken')
+    .notEmpty()
+    .withMessage('Session token is required'),
+  
+  body('appId')
+    .notEmpty()
+    .withMessage('App ID is required'),
+  
+  body('appSecret')
+    .notEmpty()
+    .withMessage('App Secret is required')
+];
+
+// Redeeming another license key into an existing client (identified like the HWID self-reset)
+const validateSubscriptionRedeem = [
+  ...validateHwidSelfReset,
+  
+  // The client's own key (license mode) picks the client to redeem into
+  body('key')
+    .optional()
+    .isString()
+    .withMessage('Key must be a string')
+    .trim(),
+  
+  body('licenseKey')
+    .isString()
+    .withMessage('License key must be a string')
+    .trim()
+    .notEmpty()
+    .withMessage('License key is required')
+];
+
+module.exports = {
+  validate,
+  validateRegistration,
+  validateLogin,
+  validateAppCreation,
+  validateAppUpdate,
+  validateLicenseCreation,
+  validateBulkLicenseCreation,
+  validateLicenseImport,
+  validateLicenseSearch,
+  validateBulkLicenseAction,
+  validateLicenseUpdate,
+  validateResellerCreation,
+  validateClientRegistration,
+  validateClientLogin,
+  validateLicenseLogin,
+  validateClientSession,
+  validateSubscriptionRedeem,
+  validateHwidSelfReset,
+  validateBlacklistEntry,
+  validateIpRules,
+  validateSharingRules,
+  validateEntitlementDefinitions,
+  validateSubscriptionDefinitions,
+  validateLicenseTemplate,
+  validateProgramHash,
+  validateMaintenanceWindow,
+  validateLoginEventQuery,
+  validateTrashQuery
 };
\ No newline at end of file
@@ -2,6 +2,12 @@ const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 
+// Entitlement keys are used as map keys on licenses and clients
+const ENTITLEMENT_KEY = /^[A-Za-z][A-Za-z0-9_-]{0,49}$/;
+
+// Most hashes an app keeps from hash learning; owners delete old ones to learn more
+const MAX_LEARNED_HASHES = 50;
+
 const appSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -29,6 +35,15 @@ const appSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  signingKeys: {
+    publicKey: {
+      type: String
+    },
+    privateKey: {
+      type: String,
+      select: false // Only loaded when signing offline certificates
+    }
+  },
   settings: {
     hwidLock: {
       type: Boolean,
@@ -37,6 +52,187 @@ const appSchema = new mongoose.Schema({
     allowCustomLicenseKey: {
       type: Boolean,
       default: false
+    },
+    sessionDuration: {
+      type: Number,
+      default: 60, // Minutes a client session stays valid without a heartbeat
+      min: 1,
+      max: 10080
+    },
+    blockVpn: {
+      type: Boolean,
+      default: false
+    },
+    hashCheck: {
+      type: Boolean,
+      default: false
+    },
+    hashLearning: {
+      type: Boolean,
+      default: false // Trust the first hash seen for a version that has none registered
+    },
+    checkLeakedPasswords: {
+      type: Boolean,
+      default: false
+    },
+    defaultMaxDevices: {
+      type: Number,
+      default: 1, // Seats per license when the license doesn't set maxDevices
+      min: 1,
+      max: 100
+    },
+    hwidSelfReset: {
+      type: Boolean,
+      default: false // Let clients reset their own HWID via /clients/reset-hwid
+    },
+    hwidResetCooldown: {
+      type: Number,
+      default: 24, // Hours between self-service resets
+      min: 0
+    },
+    hwidResetMonthlyQuota: {
+      type: Number,
+      default: 2, // Self-service resets per calendar month
+      min: 0
+    },
+    authMode: {
+      type: String,
+      enum: ['username', 'license'], // 'license': clients log in with just a key via /clients/license-login
+      default: 'username'
+    }
+  },
+  programHashes: [{
+    version: {
+      type: String,
+      required: true
+    },
+    hash: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    learned: {
+      type: Boolean,
+      default: false
+    },
+    note: {
+      type: String,
+      maxlength: 200
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  ipRules: {
+    allow: [{
+      type: String,
+      trim: true
+    }],
+    deny: [{
+      type: String,
+      trim: true
+    }]
+  },
+  sharingRules: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    windowHours: {
+      type: Number,
+      default: 24, // Look-back window for the distinct IP/HWID counts
+      min: 1,
+      max: 720
+    },
+    maxIps: {
+      type: Number,
+      default: null, // null disables the rule
+      min: 1
+    },
+    maxHwids: {
+      type: Number,
+      default: null, // null disables the rule
+      min: 1
+    },
+    impossibleTravel: {
+      type: Boolean,
+      default: false // Needs GEOIP_FILE to locate IPs
+    },
+    maxTravelSpeed: {
+      type: Number,
+      default: 1000, // km/h between consecutive logins
+      min: 1
+    },
+    action: {
+      type: String,
+      enum: ['flag', 'ban', 'resetHwid'],
+      default: 'flag'
+    }
+  },
+  entitlements: [{
+    key: {
+      type: String,
+      required: true,
+      match: ENTITLEMENT_KEY
+    },
+    kind: {
+      type: String,
+      enum: ['flag', 'limit'], // Feature flag (boolean) or numeric limit
+      required: true
+    },
+    defaultValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null // What clients get when their license doesn't set it; null means false or 0
+    },
+    description: {
+      type: String,
+      maxlength: 200
+    }
+  }],
+  licenseTemplates: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50
+    },
+    entitlements: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  subscriptions: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50
+    },
+    level: {
+      type: Number,
+      default: 0,
+      min: 0 // Higher levels rank above lower ones, e.g. Basic 1, Pro 2
+    },
+    description: {
+      type: String,
+      maxlength: 200
+    }
+  }],
+  blockCounts: {
+    ip: {
+      type: Number,
+      default: 0
+    },
+    vpn: {
+      type: Number,
+      default: 0
     }
   },
   errorMessages: {
@@ -84,6 +280,10 @@ const appSchema = new mongoose.Schema({
       type: String,
       default: 'VPNs are blocked on this application'
     },
+    ipBlocked: {
+      type: String,
+      default: 'Your IP address is not allowed to use this application'
+    },
     keyBanned: {
       type: String,
       default: 'Your license is banned'
@@ -152,6 +352,18 @@ appSchema.pre('save', async function(next) {
   }
 });
 
+// Generate the Ed25519 keypair used to sign offline license certificates
+appSchema.pre('save', function(next) {
+  if (!this.signingKeys || !this.signingKeys.publicKey) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    this.signingKeys = { publicKey, privateKey };
+  }
+  next();
+});
+
 // Virtual for license count
 appSchema.virtual('licenseCount', {
   ref: 'License',
@@ -169,18 +381,234 @@ appSchema.virtual('resellerCount', {
 });
 
 // Method to check if app can have more licenses
-appSchema.methods.canCreateLicense = async function(userId) {
+appSchema.methods.canCreateLicense = async function(userId, count = 1) {
   const user = await mongoose.model('User').findById(userId);
   if (!user) return false;
   
   if (user.maxLicensesPerApp === -1) return true; // Premium user
   
   const licenseCount = await mongoose.model('License').countDocuments({ app: this._id });
-  return licenseCount < user.maxLicensesPerApp;
+  return licenseCount + count <= user.maxLicensesPerApp;
+};
+
+// Method to give apps created before offline activation a signing keypair
+appSchema.methods.ensureSigningKeys = async function() {
+  if (!this.signingKeys || !this.signingKeys.publicKey) {
+    await this.save();
+  }
+  return this;
+};
+
+// Method to sign an offline license certificate (requires +signingKeys.privateKey)
+appSchema.methods.signCertificate = function(data) {
+  if (!this.signingKeys || !this.signingKeys.privateKey) {
+    throw new Error('App signing key is not loaded');
+  }
+
+  const payload = Buffer.from(JSON.stringify({
+    ...data,
+    appId: this.appId,
+    issuedAt: new Date().toISOString()
+  }));
+  const signature = crypto.sign(null, payload, this.signingKeys.privateKey);
+
+  return {
+    version: 1,
+    algorithm: 'Ed25519',
+    payload: payload.toString('base64'),
+    signature: signature.toString('base64')
+  };
+};
+
+// Method to pause the app and open a pause history entry
+appSchema.methods.pause = async function({ pausedBy = null, reason, maintenanceWindow = null } = {}) {
+  if (this.paused) return null;
+
+  this.paused = true;
+  await this.save();
+
+  return mongoose.model('AppPause').create({
+    app: this._id,
+    pausedBy,
+    reason,
+    maintenanceWindow
+  });
+};
+
+// Method to unpause the app, optionally giving active clients and unused licenses
+// back the time the app was paused
+appSchema.methods.unpause = async function({ resumedBy = null, compensate = false } = {}) {
+  if (!this.paused) return null;
+
+  this.paused = false;
+  await this.save();
+
+  // Apps paused before pause history existed have no open entry to compensate from
+  const pause = await mongoose.model('AppPause').findOne({ app: this._id, resumedAt: null })
+    .sort({ pausedAt: -1 });
+  if (!pause) return null;
+
+  pause.resumedAt = new Date();
+  pause.resumedBy = resumedBy;
+
+  if (compensate) {
+    const License = mongoose.model('License');
+    const LicenseChange = mongoose.model('LicenseChange');
+    const pausedFor = pause.resumedAt - pause.pausedAt;
+    const addPausedTime = [{ $set: { expiresAt: { $add: ['$expiresAt', pausedFor] } } }];
+    const Client = mongoose.model('Client');
+
+    // Anything still running when the pause began lost time, including keys that lapsed during it
+    const [clients, licenses] = await Promise.all([
+      Client.updateMany(
+        { app: this._id, ban: false, pausedAt: null, expiresAt: { $gt: pause.pausedAt } },
+        Client.shiftExpiryStages({ $gt: ['$$subscription.expiresAt', pause.pausedAt] }, pausedFor)
+      ),
+      // Keys the expire-licenses job already marked EXPIRED during the pause count too
+      License.find({ app: this._id, used: false, status: { $in: ['ACTIVE', 'EXPIRED'] }, expiresAt: { $gt: pause.pausedAt } })
+        .select('app status expiresAt')
+        .lean()
+    ]);
+
+    if (licenses.length > 0) {
+      await License.updateMany(
+        { _id: { $in: licenses.map(license => license._id) } },
+        [
+          ...addPausedTime,
+          { $set: { status: { $cond: [{ $gt: ['$expiresAt', '$$NOW'] }, 'ACTIVE', '$status'] } } }
+        ]
+      );
+
+      await LicenseChange.record(licenses.map(license => {
+        const expiresAt = new Date(license.expiresAt.getTime() + pausedFor);
+        const status = expiresAt > new Date() ? 'ACTIVE' : license.status;
+        return LicenseChange.entry(license, 'compensate', LicenseChange.diff(license, { ...license, expiresAt, status }));
+      }));
+    }
+
+    pause.compensated = true;
+    pause.compensatedClients = clients.modifiedCount;
+    pause.compensatedLicenses = licenses.length;
+  }
+
+  await pause.save();
+  return pause;
+};
+
+// Method to count a client auth attempt rejected by IP rules
+appSchema.methods.recordBlock = function(reason) {
+  const counter = reason === 'vpnBlocked' ? 'blockCounts.vpn' : 'blockCounts.ip';
+  return mongoose.model('App').updateOne({ _id: this._id }, { $inc: { [counter]: 1 } });
 };
 
-// Ensure virtual fields are serialized
-appSchema.set('toJSON', { virtuals: true });
+// Method to check a client build's hash against the hashes allowed for its version
+appSchema.methods.verifyProgramHash = async function(version, hash) {
+  if (!this.settings.hashCheck) return true;
+  if (typeof hash !== 'string' || typeof version !== 'string') return false;
+
+  const normalizedHash = hash.toLowerCase().trim();
+  const versionHashes = this.programHashes.filter(entry => entry.version === version);
+
+  if (versionHashes.some(entry => entry.hash === normalizedHash)) return true;
+  if (versionHashes.length > 0 || !this.settings.hashLearning) return false;
+
+  // Only the app's current version is learned, so callers can't add hashes for made-up versions
+  if (version !== this.version || !/^[a-f0-9]{32,128}$/.test(normalizedHash)) return false;
+
+  // Learning mode: record the first hash seen for this version, unless another request beat us
+  // to it or the app already holds as many learned hashes as it may
+  const result = await mongoose.model('App').updateOne(
+    {
+      _id: this._id,
+      'programHashes.version': { $ne: version },
+      $expr: {
+        $lt: [
+          { $size: { $filter: { input: { $ifNull: ['$programHashes', []] }, cond: '$$this.learned' } } },
+          MAX_LEARNED_HASHES
+        ]
+      }
+    },
+    { $push: { programHashes: { version, hash: normalizedHash, learned: true } } }
+  );
+  if (result.modifiedCount === 1) return true;
+
+  const app = await mongoose.model('App').findById(this._id).select('programHashes');
+  return app.programHashes.some(entry => entry.version === version && entry.hash === normalizedHash);
+};
+
+// Method to check entitlement values against the app's definitions; returns why they
+// don't fit, or null if they do
+appSchema.methods.checkEntitlements = function(values) {
+  for (const [key, value] of Object.entries(values)) {
+    const definition = this.entitlements.find(entry => entry.key === key);
+    if (!definition) {
+      return `Unknown entitlement: ${key}`;
+    }
+    if (definition.kind === 'flag' && typeof value !== 'boolean') {
+      return `Entitlement ${key} is a flag and must be true or false`;
+    }
+    if (definition.kind === 'limit' && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      return `Entitlement ${key} is a limit and must be a number of at least 0`;
+    }
+  }
+  return null;
+};
+
+// Method to work out a license's entitlement values: a template's, overridden by explicitly
+// given ones; throws a 400 error when the template is unknown or a value doesn't fit
+appSchema.methods.buildEntitlements = function({ template, entitlements } = {}) {
+  const values = {};
+
+  if (template) {
+    const found = this.licenseTemplates.id(template);
+    if (!found) {
+      const error = new Error('License template not found');
+      error.statusCode = 400;
+      throw error;
+    }
+    Object.assign(values, Object.fromEntries(found.entitlements));
+  }
+
+  Object.assign(values, entitlements);
+
+  const problem = this.checkEntitlements(values);
+  if (problem) {
+    const error = new Error(problem);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return values;
+};
+
+// Method to check that the app defines a subscription name; throws a 400 error when it doesn't
+appSchema.methods.checkSubscription = function(name) {
+  if (!this.subscriptions.some(subscription => subscription.name === name)) {
+    const error = new Error(`Unknown subscription: ${name}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return name;
+};
+
+// Method to list every entitlement the app defines for a client, falling back to the defaults
+appSchema.methods.resolveEntitlements = function(values) {
+  const resolved = {};
+  for (const definition of this.entitlements) {
+    const value = values ? values.get(definition.key) : undefined;
+    resolved[definition.key] = value ?? definition.defaultValue ?? (definition.kind === 'flag' ? false : 0);
+  }
+  return resolved;
+};
+
+// Ensure virtual fields are serialized (never expose the private signing key)
+appSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    if (ret.signingKeys) delete ret.signingKeys.privateKey;
+    return ret;
+  }
+});
 appSchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('App', appSchema);
\ No newline at end of file
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const appPauseSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null when paused by a maintenance window
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  maintenanceWindow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceWindow',
+    default: null
+  },
+  pausedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resumedAt: {
+    type: Date,
+    default: null
+  },
+  resumedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  compensated: {
+    type: Boolean,
+    default: false
+  },
+  compensatedClients: {
+    type: Number,
+    default: 0
+  },
+  compensatedLicenses: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for history lookups and finding the open pause
+appPauseSchema.index({ app: 1, pausedAt: -1 });
+
+// Virtual for pause duration in milliseconds (up to now while still paused)
+appPauseSchema.virtual('duration').get(function() {
+  return (this.resumedAt || new Date()) - this.pausedAt;
+});
+
+// Ensure virtual fields are serialized
+appPauseSchema.set('toJSON', { virtuals: true });
+appPauseSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('AppPause', appPauseSchema);
\ No newline at end of file
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isPasswordLeaked } = require('../utils/passwordLeaks');
+
+// Subscription of licenses that don't name one, and of clients from before subscriptions
+const DEFAULT_SUBSCRIPTION = 'default';
 
 const clientSchema = new mongoose.Schema({
   username: {
@@ -20,6 +24,32 @@ const clientSchema = new mongoose.Schema({
     trim: true,
     default: null
   },
+  maxDevices: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  devices: [{
+    _id: false,
+    hwid: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    firstSeen: {
+      type: Date,
+      default: Date.now
+    },
+    lastSeen: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   app: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'App',
@@ -34,9 +64,57 @@ const clientSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  flagged: {
+    type: Boolean,
+    default: false // Set by account-sharing detection until the owner resolves the flags
+  },
   expiresAt: {
     type: Date,
-    required: true
+    required: true // The latest subscription expiry when the client has subscriptions
+  },
+  subscriptions: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true
+    },
+    licenseKeys: [{
+      type: String // Keys redeemed into this subscription
+    }],
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    entitlements: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  duration: {
+    type: Number,
+    default: null // Days, copied from a relative license on redemption
+  },
+  lifetime: {
+    type: Boolean,
+    default: false
+  },
+  entitlements: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {} // Copied from the license on redemption
+  },
+  pausedAt: {
+    type: Date,
+    default: null // Set while the subscription is paused
+  },
+  expired: {
+    type: Boolean,
+    default: false // Kept in sync with isExpired by the expire-clients job
   },
   lastLogin: {
     type: Date
@@ -54,13 +132,34 @@ clientSchema.index({ app: 1, username: 1 }, { unique: true });
 
 // Index for efficient queries
 clientSchema.index({ app: 1, licenseKey: 1 });
+clientSchema.index({ app: 1, 'subscriptions.licenseKeys': 1 });
 clientSchema.index({ hwid: 1, app: 1 });
+clientSchema.index({ expired: 1, expiresAt: 1 });
+
+// Keep expiresAt at the latest subscription expiry, so the client counts as expired only once
+// every subscription has run out
+clientSchema.pre('validate', function(next) {
+  if (this.subscriptions.length > 0) {
+    this.expiresAt = new Date(Math.max(...this.subscriptions.map(subscription => subscription.expiresAt.getTime())));
+  }
+  next();
+});
 
 // Hash password before saving
 clientSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
+    // Reject breached passwords on every password set, if the app asks for it
+    const app = await mongoose.model('App').findById(this.app)
+      .select('settings.checkLeakedPasswords errorMessages.pwLeaked');
+
+    if (app && app.settings.checkLeakedPasswords && await isPasswordLeaked(this.password)) {
+      const error = new Error(app.errorMessages.pwLeaked);
+      error.statusCode = 400;
+      return next(error);
+    }
+
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
     next();
@@ -69,14 +168,19 @@ clientSchema.pre('save', async function(next) {
   }
 });
 
-// Virtual for checking if client is expired
+// Virtual for checking if client's subscription is paused
+clientSchema.virtual('isPaused').get(function() {
+  return !!this.pausedAt;
+});
+
+// Virtual for checking if client is expired (time stops running while paused)
 clientSchema.virtual('isExpired').get(function() {
-  return new Date() > this.expiresAt;
+  return (this.pausedAt || new Date()) > this.expiresAt;
 });
 
 // Virtual for checking if client is active
 clientSchema.virtual('isActive').get(function() {
-  return !this.ban && !this.isExpired;
+  return !this.ban && !this.isExpired && !this.isPaused;
 });
 
 // Compare password method
@@ -91,14 +195,224 @@ clientSchema.methods.updateLoginInfo = function() {
   return this.save();
 };
 
-// Method to extend expiry
-clientSchema.methods.extendExpiry = function(days) {
-  const newExpiry = new Date(this.expiresAt);
-  newExpiry.setDate(newExpiry.getDate() + days);
-  this.expiresAt = newExpiry;
+// Clients created before multi-seat support only have a single hwid
+const seedDevices = (client) => {
+  if (client.devices.length === 0 && client.hwid) {
+    client.devices.push({ hwid: client.hwid, firstSeen: client.createdAt });
+  }
+};
+
+// Method to use a device seat: refreshes a known device or takes a free seat.
+// Returns false when the HWID is unknown and every seat is taken.
+clientSchema.methods.useDevice = function(hwid, label) {
+  seedDevices(this);
+
+  const device = this.devices.find(entry => entry.hwid === hwid);
+  if (device) {
+    device.lastSeen = new Date();
+    if (label) device.label = label;
+  } else if (this.devices.length < this.maxDevices) {
+    this.devices.push({ hwid, label });
+  } else {
+    return false;
+  }
+
+  this.hwid = hwid;
+  return true;
+};
+
+// Method to free a device seat; returns false if the HWID wasn't registered
+clientSchema.methods.releaseDevice = function(hwid) {
+  seedDevices(this);
+
+  const index = this.devices.findIndex(entry => entry.hwid === hwid);
+  if (index === -1) return false;
+
+  this.devices.splice(index, 1);
+  if (this.hwid === hwid) {
+    this.hwid = this.devices.length > 0 ? this.devices[this.devices.length - 1].hwid : null;
+  }
+  return true;
+};
+
+// Method to reset HWID: frees every seat, ends sessions and logs who did it
+clientSchema.methods.resetHwid = async function({ resetBy, actor = null, ip = null }) {
+  seedDevices(this);
+  const previousHwids = this.devices.map(device => device.hwid);
+
+  this.hwid = null;
+  this.devices = [];
+  await this.save();
+
+  // Sessions were bound to the old HWID
+  await mongoose.model('Session').deleteMany({ client: this._id });
+
+  return mongoose.model('HwidResetLog').create({
+    client: this._id,
+    app: this.app._id || this.app,
+    previousHwids,
+    resetBy,
+    actor,
+    ip
+  });
+};
+
+// Method to pause the subscription
+clientSchema.methods.pause = async function() {
+  this.pausedAt = new Date();
+  await this.save();
+
+  // Paused clients lose their open sessions
+  await mongoose.model('Session').deleteMany({ client: this._id });
+  return this;
+};
+
+// Method to resume the subscription, pushing expiry out by the time spent paused
+clientSchema.methods.resume = function() {
+  const pausedFor = Date.now() - this.pausedAt.getTime();
+  this.expiresAt = new Date(this.expiresAt.getTime() + pausedFor);
+
+  // Subscriptions that were still running when paused get the time back too
+  for (const subscription of this.subscriptions) {
+    if (subscription.expiresAt > this.pausedAt) {
+      subscription.expiresAt = new Date(subscription.expiresAt.getTime() + pausedFor);
+    }
+  }
+
+  this.pausedAt = null;
   return this.save();
 };
 
+// Method to extend expiry: every subscription, or only the one named
+clientSchema.methods.extendExpiry = function(days, subscriptionName) {
+  const extend = (date) => {
+    const newExpiry = new Date(date);
+    newExpiry.setDate(newExpiry.getDate() + days);
+    return newExpiry;
+  };
+
+  this.expiresAt = extend(this.expiresAt);
+  for (const subscription of this.subscriptions) {
+    if (!subscriptionName || subscription.name === subscriptionName) {
+      subscription.expiresAt = extend(subscription.expiresAt);
+    }
+  }
+  return this.save();
+};
+
+// Method to add the subscription a redeemed license grants. Redeeming into a subscription the
+// client already holds stacks it: a duration license adds its time on top of what is left,
+// a fixed expiry only ever moves it later.
+clientSchema.methods.addSubscription = function(license, expiresAt) {
+  const name = license.subscription || DEFAULT_SUBSCRIPTION;
+  const existing = this.subscriptions.find(subscription => subscription.name === name);
+
+  if (!existing) {
+    this.subscriptions.push({
+      name,
+      licenseKeys: [license.key],
+      expiresAt,
+      entitlements: license.entitlements
+    });
+    return this;
+  }
+
+  const now = Date.now();
+  const stacked = license.duration && !license.lifetime && existing.expiresAt > now
+    ? new Date(existing.expiresAt.getTime() + (expiresAt.getTime() - now))
+    : expiresAt;
+
+  if (existing.expiresAt <= now) existing.startedAt = new Date(now);
+  existing.expiresAt = new Date(Math.max(existing.expiresAt.getTime(), stacked.getTime()));
+  existing.licenseKeys.push(license.key);
+  existing.entitlements = license.entitlements;
+  return this;
+};
+
+// Method to list the subscriptions still running, highest level first, with levels from the
+// app's definitions; clients from before subscriptions have one default subscription
+clientSchema.methods.activeSubscriptions = function(app) {
+  const now = this.pausedAt || new Date();
+  const subscriptions = this.subscriptions.length > 0
+    ? this.subscriptions
+    : [{ name: DEFAULT_SUBSCRIPTION, expiresAt: this.expiresAt }];
+
+  return subscriptions
+    .filter(subscription => subscription.expiresAt > now)
+    .map(subscription => {
+      const definition = app.subscriptions.find(entry => entry.name === subscription.name);
+      return {
+        name: subscription.name,
+        level: definition ? definition.level : 0,
+        expiresAt: subscription.expiresAt
+      };
+    })
+    .sort((a, b) => b.level - a.level);
+};
+
+// Find the client of an app that redeemed a key, whether it signed up with it or redeemed it since
+clientSchema.statics.findByLicenseKey = function(appId, key) {
+  return this.findOne({ app: appId, $or: [{ licenseKey: key }, { 'subscriptions.licenseKeys': key }] });
+};
+
+// Every key a client (document or plain object) has redeemed
+clientSchema.statics.redeemedKeys = function(client) {
+  const keys = [client.licenseKey, ...(client.subscriptions || []).flatMap(subscription => subscription.licenseKeys)];
+  return [...new Set(keys.filter(Boolean))];
+};
+
+// Pipeline stages moving the expiry of the subscriptions that match a condition (an expression
+// over $$subscription) by ms, then the client's expiry along with them; clients without
+// subscriptions just have their expiry moved
+clientSchema.statics.shiftExpiryStages = function(condition, ms) {
+  const shifted = { $mergeObjects: ['$$subscription', { expiresAt: { $add: ['$$subscription.expiresAt', ms] } }] };
+
+  return [
+    {
+      $set: {
+        subscriptions: {
+          $map: {
+            input: { $ifNull: ['$subscriptions', []] },
+            as: 'subscription',
+            in: { $cond: [condition, shifted, '$$subscription'] }
+          }
+        }
+      }
+    },
+    {
+      $set: {
+        expiresAt: {
+          $cond: [
+            { $gt: [{ $size: '$subscriptions' }, 0] },
+            { $max: '$subscriptions.expiresAt' },
+            { $add: ['$expiresAt', ms] }
+          ]
+        }
+      }
+    }
+  ];
+};
+
+// Method to combine the entitlements of the running subscriptions: a flag is on if any
+// subscription turns it on, and a limit is the highest any subscription gives
+clientSchema.methods.currentEntitlements = function() {
+  if (this.subscriptions.length === 0) return this.entitlements;
+
+  const now = this.pausedAt || new Date();
+  const combined = new Map();
+  for (const subscription of this.subscriptions) {
+    if (subscription.expiresAt <= now) continue;
+
+    for (const [key, value] of subscription.entitlements) {
+      const current = combined.get(key);
+      if (current === undefined || (typeof value === 'boolean' ? value && !current : value > current)) {
+        combined.set(key, value);
+      }
+    }
+  }
+  return combined;
+};
+
 // Transform output (remove sensitive data)
 clientSchema.methods.toJSON = function() {
   const obj = this.toObject();
@@ -106,6 +420,49 @@ clientSchema.methods.toJSON = function() {
   return obj;
 };
 
+// Move the licenses redeemed by some clients from one status to another, logging it in their history
+const setLicenseStatus = async (clientIds, from, to, action) => {
+  const License = mongoose.model('License');
+  const LicenseChange = mongoose.model('LicenseChange');
+  const licenses = await License.find({ usedBy: { $in: clientIds }, status: from })
+    .select('app')
+    .lean();
+  if (licenses.length === 0) return;
+
+  await License.updateMany({ _id: { $in: licenses.map(license => license._id) }, status: from }, { $set: { status: to } });
+  await LicenseChange.record(licenses.map(license =>
+    LicenseChange.entry(license, action, [{ field: 'status', from, to }])
+  ));
+};
+
+// Mark clients whose time has run out as expired, expiring the license they redeemed, and
+// clear the mark (reactivating the license) for clients extended since; resolves to { expired, renewed }
+clientSchema.statics.syncExpired = async function() {
+  const timeRanOut = { $lte: ['$expiresAt', { $ifNull: ['$pausedAt', '$$NOW'] }] };
+
+  const expired = await this.find({ expired: { $ne: true }, $expr: timeRanOut })
+    .select('username app licenseKey expiresAt')
+    .lean();
+
+  if (expired.length > 0) {
+    const ids = expired.map(client => client._id);
+    await this.updateMany({ _id: { $in: ids } }, { $set: { expired: true } });
+    await setLicenseStatus(ids, 'ACTIVE', 'EXPIRED', 'expire');
+  }
+
+  const renewed = await this.find({ expired: true, $expr: { $not: [timeRanOut] } })
+    .select('username app licenseKey expiresAt')
+    .lean();
+
+  if (renewed.length > 0) {
+    const ids = renewed.map(client => client._id);
+    await this.updateMany({ _id: { $in: ids } }, { $set: { expired: false } });
+    await setLicenseStatus(ids, 'EXPIRED', 'ACTIVE', 'renew');
+  }
+
+  return { expired, renewed };
+};
+
 // Ensure virtual fields are serialized
 clientSchema.set('toJSON', { virtuals: true });
 clientSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Days to keep login events before MongoDB removes them
+const RETENTION_DAYS = parseInt(process.env.LOGIN_EVENT_RETENTION_DAYS) || 90;
+
+const clientLoginEventSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null // null when the attempt didn't match a client
+  },
+  username: {
+    type: String,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['register', 'login', 'license-login', 'validate-session'],
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  statusCode: {
+    type: Number
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  hwid: {
+    type: String,
+    default: null
+  },
+  appVersion: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for per-client and per-app history queries
+clientLoginEventSchema.index({ client: 1, createdAt: -1 });
+clientLoginEventSchema.index({ app: 1, createdAt: -1 });
+clientLoginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ClientLoginEvent', clientLoginEventSchema);
\ No newline at end of file
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const hwidBlacklistSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  hwid: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  expiresAt: {
+    type: Date,
+    default: null // null means the HWID stays blacklisted until removed
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per HWID per app
+hwidBlacklistSchema.index({ app: 1, hwid: 1 }, { unique: true });
+
+// Virtual for checking if entry is expired
+hwidBlacklistSchema.virtual('isExpired').get(function() {
+  return this.expiresAt !== null && new Date() > this.expiresAt;
+});
+
+// Check if an HWID is currently blacklisted for an app
+hwidBlacklistSchema.statics.isBlacklisted = async function(appId, hwid) {
+  if (!hwid) return false;
+
+  const entry = await this.exists({
+    app: appId,
+    hwid,
+    $or: [
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  });
+
+  return !!entry;
+};
+
+// Ensure virtual fields are serialized
+hwidBlacklistSchema.set('toJSON', { virtuals: true });
+hwidBlacklistSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('HwidBlacklist', hwidBlacklistSchema);
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const hwidResetLogSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  previousHwids: [{
+    type: String
+  }],
+  resetBy: {
+    type: String,
+    enum: ['client', 'owner', 'reseller', 'system'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId // User or Reseller, depending on resetBy (none for system resets)
+  },
+  ip: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for cooldown and quota lookups
+hwidResetLogSchema.index({ client: 1, resetBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('HwidResetLog', hwidResetLogSchema);
\ No newline at end of file
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    default: null // Set while a server instance is running the job
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastFinishedAt: {
+    type: Date,
+    default: null
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Claim a due job for this instance; resolves to null if it isn't due or another instance holds it
+jobSchema.statics.acquire = async function(name, owner, lockMs) {
+  const now = new Date();
+
+  // Make sure the job exists so the claim below has something to match
+  await this.updateOne({ name }, { $setOnInsert: { name, nextRunAt: now } }, { upsert: true })
+    .catch((error) => {
+      if (error.code !== 11000) throw error; // Another instance created it first
+    });
+
+  return this.findOneAndUpdate(
+    {
+      name,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      $set: { lockedUntil: new Date(now.getTime() + lockMs), lockedBy: owner, lastRunAt: now },
+      $inc: { runCount: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Method to release the lock and schedule the next run
+jobSchema.methods.finish = function({ intervalMs, result = null, error = null }) {
+  this.lockedUntil = null;
+  this.lockedBy = null;
+  this.lastFinishedAt = new Date();
+  this.nextRunAt = new Date(Date.now() + intervalMs);
+  this.lastResult = result;
+  this.lastError = error ? error.message : null;
+  return this.save();
+};
+
+module.exports = mongoose.model('Job', jobSchema);
\ No newline at end of file
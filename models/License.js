@@ -1,124 +1,333 @@
-const mongoose = require('mongoose');
-const crypto = require('crypto');
-
-const licenseSchema = new mongoose.Schema({
-  app: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'App',
-    required: true
-  },
-  key: {
-    type: String,
-    unique: true
-  },
-  createdByUser: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  createdByType: {
-    type: String,
-    enum: ['owner', 'reseller'],
-    required: true
-  },
-  reseller: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Reseller'
-  },
-  used: {
-    type: Boolean,
-    default: false
-  },
-  usedBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Client'
-  },
-  status: {
-    type: String,
-    enum: ['ACTIVE', 'REVOKED', 'EXPIRED', 'BANNED'],
-    default: 'ACTIVE'
-  },
-  note: {
-    type: String,
-    maxlength: 500
-  },
-  expiresAt: {
-    type: Date,
-    required: true
-  }
-}, {
-  timestamps: true
-});
-
-// Generate license key before saving if not provided
-licenseSchema.pre('save', async function(next) {
-  if (this.isNew && !this.key) {
-    try {
-      // Generate a unique 24-character license key
-      let licenseKey;
-      let isUnique = false;
-      
-      // Ensure license key is unique
-      while (!isUnique) {
-        licenseKey = crypto.randomBytes(12).toString('hex').toUpperCase();
-        const existingLicense = await mongoose.model('License').findOne({ key: licenseKey });
-        if (!existingLicense) {
-          isUnique = true;
-        }
-      }
-      
-      this.key = licenseKey;
-      next();
-    } catch (error) {
-      next(error);
-    }
-  } else {
-    next();
-  }
-});
-
-// Check if license is expired
-licenseSchema.virtual('isExpired').get(function() {
-  return new Date() > this.expiresAt;
-});
-
-// Check if license is active
-licenseSchema.virtual('isActive').get(function() {
-  return this.status === 'ACTIVE' && !this.isExpired;
-});
-
-// Method to ban/unban license
-licenseSchema.methods.toggleBan = function() {
-  if (this.status === 'BANNED') {
-    this.status = 'ACTIVE';
-  } else if (this.status === 'ACTIVE') {
-    this.status = 'BANNED';
-  }
-  return this.save();
-};
-
-// Method to revoke license
-licenseSchema.methods.revoke = function() {
-  this.status = 'REVOKED';
-  return this.save();
-};
-
-// Method to extend expiry
-licenseSchema.methods.extendExpiry = function(days) {
-  const currentExpiry = this.expiresAt;
-  const newExpiry = new Date(currentExpiry);
-  newExpiry.setDate(newExpiry.getDate() + days);
-  this.expiresAt = newExpiry;
-  return this.save();
-};
-
-// Compound index for efficient queries
-licenseSchema.index({ app: 1, status: 1 });
-licenseSchema.index({ createdByUser: 1, createdByType: 1 });
-licenseSchema.index({ key: 1 }, { unique: true });
-
-// Ensure virtual fields are serialized
-licenseSchema.set('toJSON', { virtuals: true });
-licenseSchema.set('toObject', { virtuals: true });
-
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { DEFAULT_MASK, compileMask, generateKey } = require('../utils/licenseKeys');
+
+// Expiry given to lifetime licenses once redeemed
+const LIFETIME_EXPIRY = new Date('9999-12-31T23:59:59.999Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bulk generation inserts this many keys per round trip
+const BULK_BATCH_SIZE = 1000;
+
+const licenseSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  key: {
+    type: String,
+    unique: true
+  },
+  createdByUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdByType: {
+    type: String,
+    enum: ['owner', 'reseller'],
+    required: true
+  },
+  reseller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reseller'
+  },
+  used: {
+    type: Boolean,
+    default: false
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  certifiedHwid: {
+    type: String,
+    default: null // Device an offline certificate claimed the key for, instead of a client
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'REVOKED', 'EXPIRED', 'BANNED'],
+    default: 'ACTIVE'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  maxDevices: {
+    type: Number,
+    min: 1,
+    default: null // null falls back to the app's default seat count
+  },
+  duration: {
+    type: Number,
+    min: 1,
+    default: null // Days; the clock starts when the key is redeemed
+  },
+  lifetime: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: {
+    type: Date,
+    default: null
+  },
+  subscription: {
+    type: String,
+    default: null // The app subscription the key redeems into; null is the default subscription
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // The app license template the entitlements came from, if any
+  },
+  entitlements: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+    // Relative licenses get their expiry on redemption
+    required: function() {
+      return !this.duration && !this.lifetime;
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Generate license key before saving if not provided
+licenseSchema.pre('save', async function(next) {
+  if (this.isNew && !this.key) {
+    try {
+      // Generate a unique 24-character license key
+      let licenseKey;
+      let isUnique = false;
+      
+      // Ensure license key is unique
+      while (!isUnique) {
+        licenseKey = crypto.randomBytes(12).toString('hex').toUpperCase();
+        const existingLicense = await mongoose.model('License').findOne({ key: licenseKey });
+        if (!existingLicense) {
+          isUnique = true;
+        }
+      }
+      
+      this.key = licenseKey;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  } else {
+    next();
+  }
+});
+
+// Remember the tracked fields as loaded, so a save can log what it changed
+licenseSchema.post('init', function() {
+  this.$locals.original = mongoose.model('LicenseChange').snapshot(this);
+});
+
+// Log changes to a loaded license in its history, under the action and actor set by trackAs()
+licenseSchema.post('save', async function() {
+  const LicenseChange = mongoose.model('LicenseChange');
+  const { original, history = {} } = this.$locals;
+  this.$locals.original = LicenseChange.snapshot(this);
+  this.$locals.history = undefined;
+
+  if (!original) return; // Newly created
+
+  const changes = LicenseChange.diff(original, this);
+  if (changes.length > 0) {
+    await LicenseChange.create(LicenseChange.entry(this, history.action || 'update', changes, history.actor));
+  }
+});
+
+// Virtual for whether the license's clock only starts on redemption
+licenseSchema.virtual('isRelative').get(function() {
+  return !!(this.duration || this.lifetime);
+});
+
+// Virtual for the expiry: the stored one once set, otherwise what redeeming now would give
+licenseSchema.virtual('computedExpiresAt').get(function() {
+  if (this.expiresAt) return this.expiresAt;
+  if (this.lifetime) return LIFETIME_EXPIRY;
+  return new Date(Date.now() + this.duration * DAY_MS);
+});
+
+// Check if license is expired (unredeemed relative licenses can't be)
+licenseSchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && new Date() > this.expiresAt;
+});
+
+// Check if license is active
+licenseSchema.virtual('isActive').get(function() {
+  return this.status === 'ACTIVE' && !this.isExpired;
+});
+
+// Method to label the next save in the license history; actor is { type, id, ip }
+licenseSchema.methods.trackAs = function(action, actor) {
+  this.$locals.history = { action, actor };
+  return this;
+};
+
+// Method to ban/unban license
+licenseSchema.methods.toggleBan = function(actor) {
+  if (this.status === 'BANNED') {
+    this.status = 'ACTIVE';
+    this.trackAs('unban', actor);
+  } else if (this.status === 'ACTIVE') {
+    this.status = 'BANNED';
+    this.trackAs('ban', actor);
+  }
+  return this.save();
+};
+
+// Method to revoke license
+licenseSchema.methods.revoke = function(actor) {
+  this.status = 'REVOKED';
+  this.trackAs('revoke', actor);
+  return this.save();
+};
+
+// Method to extend expiry (unredeemed relative licenses get a longer duration instead)
+licenseSchema.methods.extendExpiry = function(days, actor) {
+  this.trackAs('extend', actor);
+
+  if (!this.expiresAt) {
+    if (!this.lifetime) this.duration += days;
+    return this.save();
+  }
+
+  const currentExpiry = this.expiresAt;
+  const newExpiry = new Date(currentExpiry);
+  newExpiry.setDate(newExpiry.getDate() + days);
+  this.expiresAt = newExpiry;
+  return this.save();
+};
+
+// Atomically mark an unused, active license as used, starting the clock of relative
+// licenses; resolves to null if it was already taken
+licenseSchema.statics.claim = function(licenseId) {
+  return this.findOneAndUpdate(
+    { _id: licenseId, used: false, status: 'ACTIVE' },
+    [{
+      $set: {
+        used: true,
+        activatedAt: '$$NOW',
+        expiresAt: {
+          $ifNull: ['$expiresAt', {
+            $cond: ['$lifetime', LIFETIME_EXPIRY, { $add: ['$$NOW', { $multiply: ['$duration', DAY_MS] }] }]
+          }]
+        }
+      }
+    }],
+    { new: true }
+  );
+};
+
+// Hand a claimed license back (e.g. when creating its client failed), stopping a relative license's clock
+licenseSchema.statics.release = function(licenseId) {
+  return this.updateOne(
+    { _id: licenseId },
+    [
+      {
+        $set: {
+          used: false,
+          activatedAt: null,
+          expiresAt: {
+            $cond: [{ $or: [{ $eq: ['$lifetime', true] }, { $gt: ['$duration', 0] }] }, null, '$expiresAt']
+          }
+        }
+      },
+      { $unset: 'usedBy' }
+    ]
+  );
+};
+
+// Generate and insert `count` licenses whose keys follow a mask, a batch at a time.
+// Uniqueness is checked with one lookup per batch plus the unique index, not per key.
+// Resolves to the generated keys.
+licenseSchema.statics.generateBulk = async function({ count, mask, prefix = '', charset = 'alphanumeric', fields }) {
+  const compiled = compileMask(mask || DEFAULT_MASK, charset);
+  const keys = [];
+  let rounds = 0;
+
+  while (keys.length < count) {
+    // Only a mask too small for the count keeps colliding
+    if (++rounds > Math.ceil(count / BULK_BATCH_SIZE) * 5) {
+      const error = new Error('Could not generate enough unique keys, use a longer mask');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const size = Math.min(BULK_BATCH_SIZE, count - keys.length);
+    const batch = new Set();
+    for (let i = 0; i < size * 2 && batch.size < size; i++) {
+      batch.add(generateKey(compiled, prefix));
+    }
+
+    const existing = new Set(await this.distinct('key', { key: { $in: [...batch] } }));
+    const candidates = [...batch].filter(key => !existing.has(key));
+
+    try {
+      await this.insertMany(
+        candidates.map(key => ({ ...fields, key })),
+        { ordered: false, throwOnValidationError: true }
+      );
+      keys.push(...candidates);
+    } catch (error) {
+      // Keep what went in; keys that lost a race with another insert are regenerated next round
+      if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+      keys.push(...error.insertedDocs.map(doc => doc.key));
+    }
+  }
+
+  return keys;
+};
+
+// Move unused licenses past their expiry to EXPIRED (redeemed ones follow their client);
+// resolves to the licenses moved
+licenseSchema.statics.expireDue = async function(batchSize = 500) {
+  const LicenseChange = mongoose.model('LicenseChange');
+  const expired = [];
+  let batch;
+
+  do {
+    batch = await this.find({ status: 'ACTIVE', used: false, expiresAt: { $lte: new Date() } })
+      .select('key app reseller expiresAt')
+      .limit(batchSize)
+      .lean();
+
+    if (batch.length > 0) {
+      await this.updateMany(
+        { _id: { $in: batch.map(license => license._id) }, status: 'ACTIVE' },
+        { $set: { status: 'EXPIRED' } }
+      );
+      await LicenseChange.record(batch.map(license =>
+        LicenseChange.entry(license, 'expire', [{ field: 'status', from: 'ACTIVE', to: 'EXPIRED' }])
+      ));
+      expired.push(...batch);
+    }
+  } while (batch.length === batchSize);
+
+  return expired;
+};
+
+// Compound index for efficient queries
+licenseSchema.index({ app: 1, status: 1 });
+licenseSchema.index({ createdByUser: 1, createdByType: 1 });
+licenseSchema.index({ app: 1, createdAt: -1, _id: -1 });
+licenseSchema.index({ app: 1, expiresAt: 1, _id: 1 });
+licenseSchema.index({ app: 1, reseller: 1, createdAt: -1 });
+licenseSchema.index({ usedBy: 1 });
+licenseSchema.index({ key: 1 }, { unique: true });
+
+// Ensure virtual fields are serialized
+licenseSchema.set('toJSON', { virtuals: true });
+licenseSchema.set('toObject', { virtuals: true });
+
 module.exports = mongoose.model('License', licenseSchema);
\ No newline at end of file
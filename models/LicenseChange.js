@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// License fields whose before/after values are kept in the history
+const TRACKED_FIELDS = ['status', 'expiresAt', 'duration', 'lifetime', 'activatedAt', 'used', 'usedBy', 'certifiedHwid', 'note', 'maxDevices', 'subscription', 'entitlements'];
+
+const licenseChangeSchema = new mongoose.Schema({
+  license: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'License',
+    required: true
+  },
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['update', 'ban', 'unban', 'revoke', 'extend', 'redeem', 'release', 'expire', 'renew', 'compensate', 'delete', 'restore'],
+    required: true
+  },
+  actorType: {
+    type: String,
+    enum: ['owner', 'reseller', 'client', 'system'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId // User, Reseller or Client, depending on actorType (none for system changes)
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  ip: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for per-license history
+licenseChangeSchema.index({ license: 1, createdAt: -1 });
+
+// Stored form of a tracked value (populated documents are kept as their ID, maps as objects)
+const plain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Map) return Object.fromEntries(value);
+  return value._id || value;
+};
+
+// Compare tracked values by content, so equal dates, IDs and entitlements don't count as changes
+const comparable = (value) => {
+  value = plain(value);
+  if (value instanceof Date) return value.getTime();
+  if (value !== null && value.constructor === Object) return JSON.stringify(value);
+  return value === null ? null : value.toString();
+};
+
+// Copy the tracked fields of a license
+licenseChangeSchema.statics.snapshot = function(license) {
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, plain(license[field])]));
+};
+
+// List the tracked fields that differ between two versions of a license
+licenseChangeSchema.statics.diff = function(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => comparable(before[field]) !== comparable(after[field]))
+    .map(field => ({ field, from: plain(before[field]), to: plain(after[field]) }));
+};
+
+// Build a history entry; actor is { type, id, ip }, and system when omitted
+licenseChangeSchema.statics.entry = function(license, action, changes, actor = {}) {
+  return {
+    license: license._id,
+    app: license.app._id || license.app,
+    action,
+    changes,
+    actorType: actor.type || 'system',
+    actor: actor.id || null,
+    ip: actor.ip || null
+  };
+};
+
+// Write history entries in one round trip
+licenseChangeSchema.statics.record = function(entries) {
+  if (entries.length === 0) return Promise.resolve([]);
+  return this.insertMany(entries, { ordered: false });
+};
+
+module.exports = mongoose.model('LicenseChange', licenseChangeSchema);
\ No newline at end of file
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const lockoutEventSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    default: null // null for owner account lockouts
+  },
+  scope: {
+    type: String,
+    enum: ['client', 'owner', 'reseller'],
+    required: true
+  },
+  keyType: {
+    type: String,
+    enum: ['ip', 'identity', 'app'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  level: {
+    type: Number,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for owner lookups
+lockoutEventSchema.index({ app: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LockoutEvent', lockoutEventSchema);
\ No newline at end of file
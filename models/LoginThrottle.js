@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true // "<scope>:<type>:<value>", e.g. "client:ip:203.0.113.7"
+  },
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    default: null
+  },
+  failures: [{
+    type: Date
+  }],
+  level: {
+    type: Number,
+    default: 0 // Number of consecutive lockouts, drives the progressive duration
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastLockedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Idle throttle state is dropped by MongoDB, which also resets the lockout level
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
\ No newline at end of file
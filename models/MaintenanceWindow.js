@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const maintenanceWindowSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  compensate: {
+    type: Boolean,
+    default: true // Give clients and unused licenses back the time the app was down
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'active', 'completed', 'cancelled'],
+    default: 'scheduled'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for the due-window sweeps
+maintenanceWindowSchema.index({ status: 1, startsAt: 1 });
+maintenanceWindowSchema.index({ status: 1, endsAt: 1 });
+maintenanceWindowSchema.index({ app: 1, startsAt: -1 });
+
+// Start and finish every window that is due. Each transition is claimed atomically
+// so several server instances can run this at the same time.
+maintenanceWindowSchema.statics.processDue = async function() {
+  const App = mongoose.model('App');
+  const now = new Date();
+  let window;
+
+  while ((window = await this.findOneAndUpdate(
+    { status: 'scheduled', startsAt: { $lte: now } },
+    { $set: { status: 'active' } },
+    { new: true }
+  ))) {
+    const app = await App.findById(window.app);
+    if (app && window.endsAt > now) {
+      await app.pause({ reason: window.reason || 'Scheduled maintenance', maintenanceWindow: window._id });
+    }
+  }
+
+  while ((window = await this.findOneAndUpdate(
+    { status: 'active', endsAt: { $lte: now } },
+    { $set: { status: 'completed' } },
+    { new: true }
+  ))) {
+    const app = await App.findById(window.app);
+
+    // Only lift pauses this window started; a manual pause stays in place
+    if (app && app.paused) {
+      const pause = await mongoose.model('AppPause').findOne({ app: app._id, resumedAt: null });
+      if (pause && pause.maintenanceWindow && pause.maintenanceWindow.equals(window._id)) {
+        await app.unpause({ compensate: window.compensate });
+      }
+    }
+  }
+};
+
+module.exports = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
\ No newline at end of file
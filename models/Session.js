@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  hwid: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastHeartbeat: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove sessions once they are past their expiry
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ client: 1 });
+
+// Sign a session id with the app secret so tokens can't be forged or reused across apps
+const signSessionId = (sessionId, appSecret) => {
+  return crypto.createHmac('sha256', appSecret).update(sessionId).digest('hex');
+};
+
+// Virtual for checking if session is expired
+sessionSchema.virtual('isExpired').get(function() {
+  return new Date() > this.expiresAt;
+});
+
+// Create a new session for a client; the token handed out is "<sessionId>.<signature>"
+sessionSchema.statics.issue = async function({ client, app, hwid, ip }) {
+  const sessionId = crypto.randomBytes(24).toString('hex');
+  const minutes = app.settings.sessionDuration || 60;
+
+  const session = await this.create({
+    sessionId,
+    client: client._id,
+    app: app._id,
+    hwid: hwid || null,
+    ip: ip || null,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  session.token = `${sessionId}.${signSessionId(sessionId, app.appSecret)}`;
+  return session;
+};
+
+// Find the live session behind a token, or null if the token is forged, unknown or stale
+sessionSchema.statics.findByToken = async function(token, app) {
+  if (typeof token !== 'string') return null;
+
+  const [sessionId, signature] = token.split('.');
+  if (!sessionId || !signature) return null;
+
+  const expected = Buffer.from(signSessionId(sessionId, app.appSecret));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  const session = await this.findOne({ sessionId, app: app._id });
+  if (!session || session.isExpired) return null;
+
+  return session;
+};
+
+// Method to push the expiry out by the app's session duration
+sessionSchema.methods.touch = function(app) {
+  const minutes = app.settings.sessionDuration || 60;
+  this.lastHeartbeat = new Date();
+  this.expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const sharingFlagSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  rule: {
+    type: String,
+    enum: ['distinctIps', 'distinctHwids', 'impossibleTravel'],
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed, // Counts, values or travel figures behind the match
+    default: {}
+  },
+  action: {
+    type: String,
+    enum: ['flag', 'ban', 'resetHwid'],
+    required: true
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  hwid: {
+    type: String,
+    default: null
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for owner listings and open-flag lookups during login
+sharingFlagSchema.index({ app: 1, createdAt: -1 });
+sharingFlagSchema.index({ client: 1, rule: 1, resolved: 1 });
+
+module.exports = mongoose.model('SharingFlag', sharingFlagSchema);
\ No newline at end of file
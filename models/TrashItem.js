@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Days deleted items stay restorable before the purge-trash job removes them for good
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Documents are moved in and out of the trash this many at a time
+const TRASH_BATCH_SIZE = 1000;
+
+// Collection, listing label and hidden fields of each kind of item; apps come first so
+// they are restored before the licenses and clients that belong to them
+const TYPES = {
+  app: { model: 'App', label: 'name', select: '+signingKeys.privateKey' },
+  license: { model: 'License', label: 'key', select: '' },
+  client: { model: 'Client', label: 'username', select: '' }
+};
+
+const trashItemSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(TYPES),
+    required: true
+  },
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true // The item itself for apps
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  label: {
+    type: String,
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true // The deleted document as stored
+  },
+  batch: {
+    type: String,
+    required: true // Items deleted by the same request share a batch
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purgeAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'deletedAt', updatedAt: false }
+});
+
+// Indexes for trash listings, batch restores and the purge job
+trashItemSchema.index({ owner: 1, deletedAt: -1 });
+trashItemSchema.index({ batch: 1 });
+trashItemSchema.index({ purgeAt: 1 });
+
+// Undo or redo the links a document has outside its own collection; direction is -1 when it
+// leaves and 1 when it comes back
+const afterTrash = async (type, docs, direction) => {
+  if (type === 'app') {
+    for (const app of docs) {
+      const update = direction > 0 ? { $addToSet: { apps: app._id } } : { $pull: { apps: app._id } };
+      await mongoose.model('User').updateOne({ _id: app.owner }, update);
+    }
+  }
+
+  if (type === 'license') {
+    const perReseller = new Map();
+    for (const license of docs) {
+      if (license.reseller) {
+        const id = license.reseller.toString();
+        perReseller.set(id, (perReseller.get(id) || 0) + 1);
+      }
+    }
+
+    for (const [resellerId, count] of perReseller) {
+      await mongoose.model('Reseller').updateOne({ _id: resellerId }, { $inc: { usedLicenses: direction * count } });
+    }
+  }
+};
+
+// Why a trashed client can't come back yet, or null if it can: its keys must not have been
+// redeemed by someone else in the meantime
+const clientRestoreConflict = async (client) => {
+  const licenses = await mongoose.model('License')
+    .find({ app: client.app, key: { $in: mongoose.model('Client').redeemedKeys(client) } })
+    .select('used usedBy');
+
+  const taken = licenses.some(license => license.used && (!license.usedBy || license.usedBy.toString() !== client._id.toString()));
+  return taken ? 'Its license key was redeemed by another client' : null;
+};
+
+// Start a new batch for the items one request deletes
+trashItemSchema.statics.newBatch = function() {
+  return crypto.randomUUID();
+};
+
+// Move the documents of a type matching a query into the trash, a chunk at a time. Deleting
+// licenses hands their reseller quota back and deleting apps unlinks them from their owner.
+// Resolves to the number of documents trashed.
+trashItemSchema.statics.moveToTrash = async function(type, query, { owner, deletedBy, batch }) {
+  const { model, label, select } = TYPES[type];
+  const Model = mongoose.model(model);
+  const purgeAt = new Date(Date.now() + RETENTION_DAYS * DAY_MS);
+  let trashed = 0;
+  let docs;
+
+  do {
+    docs = await Model.find(query).select(select).limit(TRASH_BATCH_SIZE).lean();
+    if (docs.length === 0) break;
+
+    await this.insertMany(docs.map(doc => ({
+      owner,
+      type,
+      app: type === 'app' ? doc._id : doc.app,
+      item: doc._id,
+      label: doc[label] || null,
+      data: doc,
+      batch,
+      deletedBy,
+      purgeAt
+    })));
+    await Model.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+    await afterTrash(type, docs, -1);
+    trashed += docs.length;
+  } while (docs.length === TRASH_BATCH_SIZE);
+
+  return trashed;
+};
+
+// Put trashed items back in their collections. Items whose app is gone or that clash with a
+// live document (a reused key or username) stay in the trash. Resolves to { restored, skipped },
+// where skipped lists { item, reason }.
+trashItemSchema.statics.restoreItems = async function(items, { restoredBy }) {
+  const actor = { type: 'owner', id: restoredBy };
+  const LicenseChange = mongoose.model('LicenseChange');
+  const restored = [];
+  const skipped = [];
+
+  for (const type of Object.keys(TYPES)) {
+    let group = items.filter(item => item.type === type);
+    if (group.length === 0) continue;
+
+    const { model, label } = TYPES[type];
+    const Model = mongoose.model(model);
+
+    // Licenses and clients need their app back first
+    if (type !== 'app') {
+      const liveApps = new Set((await mongoose.model('App').find({ _id: { $in: group.map(item => item.app) } }).distinct('_id'))
+        .map(id => id.toString()));
+      group = group.filter(item => {
+        if (liveApps.has(item.app.toString())) return true;
+        skipped.push({ item, reason: 'Its app is not restored' });
+        return false;
+      });
+    }
+
+    if (type === 'client') {
+      const ready = [];
+      for (const item of group) {
+        const reason = await clientRestoreConflict(item.data);
+        if (reason) {
+          skipped.push({ item, reason });
+        } else {
+          ready.push(item);
+        }
+      }
+      group = ready;
+    }
+
+    for (let i = 0; i < group.length; i += TRASH_BATCH_SIZE) {
+      const chunk = group.slice(i, i + TRASH_BATCH_SIZE);
+      let back = chunk;
+
+      // Written as stored, bypassing defaults and save hooks (passwords are already hashed)
+      try {
+        await Model.collection.insertMany(chunk.map(item => item.data), { ordered: false });
+      } catch (error) {
+        const writeErrors = [].concat(error.writeErrors || []);
+        if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+          throw error;
+        }
+
+        const clashes = new Set(writeErrors.map(writeError => writeError.index));
+        back = chunk.filter((item, index) => !clashes.has(index));
+        chunk.filter((item, index) => clashes.has(index))
+          .forEach(item => skipped.push({ item, reason: `A live ${type} uses this ${label}` }));
+      }
+
+      await afterTrash(type, back.map(item => item.data), 1);
+
+      if (type === 'license') {
+        await LicenseChange.record(back.map(item => LicenseChange.entry(item.data, 'restore', [], actor)));
+      }
+
+      // A client deleted on its own had its keys freed; claim them again
+      if (type === 'client') {
+        for (const { data: client } of back) {
+          const licenses = await mongoose.model('License')
+            .find({ app: client.app, key: { $in: mongoose.model('Client').redeemedKeys(client) }, used: false });
+          for (const license of licenses) {
+            license.used = true;
+            license.usedBy = client._id;
+            await license.trackAs('restore', actor).save();
+          }
+        }
+      }
+
+      restored.push(...back);
+    }
+  }
+
+  await this.deleteMany({ _id: { $in: restored.map(item => item._id) } });
+  return { restored, skipped };
+};
+
+// Models holding per-app records that go when a trashed app is purged (its licenses and
+// clients are trash items of their own)
+const APP_RECORD_MODELS = [
+  'LicenseChange', 'Session', 'HwidBlacklist', 'HwidResetLog', 'AppPause', 'MaintenanceWindow',
+  'SharingFlag', 'ClientLoginEvent', 'LoginThrottle', 'LockoutEvent'
+];
+
+// Permanently remove trash past its retention, along with the history of purged licenses
+// and everything recorded for purged apps; resolves to the number of items purged
+trashItemSchema.statics.purgeDue = async function(batchSize = TRASH_BATCH_SIZE) {
+  const LicenseChange = mongoose.model('LicenseChange');
+  let purged = 0;
+  let batch;
+
+  do {
+    batch = await this.find({ purgeAt: { $lte: new Date() } })
+      .select('type item')
+      .limit(batchSize)
+      .lean();
+
+    if (batch.length > 0) {
+      const idsOf = type => batch.filter(item => item.type === type).map(item => item.item);
+      await LicenseChange.deleteMany({ license: { $in: idsOf('license') } });
+
+      const appIds = idsOf('app');
+      if (appIds.length > 0) {
+        for (const modelName of APP_RECORD_MODELS) {
+          await mongoose.model(modelName).deleteMany({ app: { $in: appIds } });
+        }
+      }
+      await this.deleteMany({ _id: { $in: batch.map(item => item._id) } });
+      purged += batch.length;
+    }
+  } while (batch.length === batchSize);
+
+  return purged;
+};
+
+module.exports = mongoose.model('TrashItem', trashItemSchema);
\ No newline at end of file
@@ -1,277 +1,1275 @@
-const express = require('express');
-const App = require('../models/App');
-const User = require('../models/User');
-const License = require('../models/License');
-const { authenticateToken, requireAppOwnership } = require('../middleware/auth');
-const { validateAppCreation, validateAppUpdate, validate } = require('../middleware/validation');
-const { asyncHandler } = require('../middleware/errorHandler');
-
-const router = express.Router();
-
-// @desc    Create a new app
-// @route   POST /apps
-// @access  Private
-router.post('/',
-  authenticateToken,
-  validateAppCreation,
-  validate,
-  asyncHandler(async (req, res) => {
-    const { name } = req.body;
-    const userId = req.user._id;
-
-    // Check if user can create more apps
-    if (!req.user.canCreateApp()) {
-      return res.status(403).json({
-        success: false,
-        message: `You have reached the maximum limit of ${req.user.maxApps} apps for your plan`
-      });
-    }
-
-    // Create app (appId and appSecret will be auto-generated)
-    const app = await App.create({
-      name,
-      owner: userId
-    });
-
-    // Add app to user's apps array
-    await User.findByIdAndUpdate(userId, {
-      $push: { apps: app._id }
-    });
-
-    res.status(201).json({
-      success: true,
-      message: 'App created successfully',
-      data: {
-        app: app.toJSON()
-      }
-    });
-  })
-);
-
-// @desc    Get all user's apps
-// @route   GET /apps
-// @access  Private
-router.get('/',
-  authenticateToken,
-  asyncHandler(async (req, res) => {
-    const apps = await App.find({ owner: req.user._id })
-      .populate('licenseCount')
-      .populate('resellerCount')
-      .sort({ createdAt: -1 });
-
-    res.status(200).json({
-      success: true,
-      data: {
-        apps,
-        count: apps.length
-      }
-    });
-  })
-);
-
-// @desc    Get single app
-// @route   GET /apps/:id
-// @access  Private
-router.get('/:id',
-  authenticateToken,
-  requireAppOwnership,
-  asyncHandler(async (req, res) => {
-    const app = await App.findById(req.params.id)
-      .populate('licenseCount')
-      .populate('resellerCount');
-
-    if (!app) {
-      return res.status(404).json({
-        success: false,
-        message: 'App not found'
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      data: {
-        app: app.toJSON()
-      }
-    });
-  })
-);
-
-// @desc    Update app
-// @route   PUT /apps/:id
-// @access  Private
-router.put('/:id',
-  authenticateToken,
-  requireAppOwnership,
-  validateAppUpdate,
-  validate,
-  asyncHandler(async (req, res) => {
-    const { name, version, paused, settings } = req.body;
-
-    const app = await App.findById(req.params.id);
-    if (!app) {
-      return res.status(404).json({
-        success: false,
-        message: 'App not found'
-      });
-    }
-
-    // Update fields if provided
-    if (name !== undefined) app.name = name;
-    if (version !== undefined) app.version = version;
-    if (paused !== undefined) app.paused = paused;
-    if (settings !== undefined) {
-      if (settings.hwidLock !== undefined) app.settings.hwidLock = settings.hwidLock;
-      if (settings.allowCustomLicenseKey !== undefined) app.settings.allowCustomLicenseKey = settings.allowCustomLicenseKey;
-    }
-
-    await app.save();
-
-    res.status(200).json({
-      success: true,
-      message: 'App updated successfully',
-      data: {
-        app: app.toJSON()
-      }
-    });
-  })
-);
-
-// @desc    Delete app
-// @route   DELETE /apps/:id
-// @access  Private
-router.delete('/:id',
-  authenticateToken,
-  requireAppOwnership,
-  asyncHandler(async (req, res) => {
-    const appId = req.params.id;
-
-    const app = await App.findById(appId);
-    if (!app) {
-      return res.status(404).json({
-        success: false,
-        message: 'App not found'
-      });
-    }
-
-    // Delete all related licenses
-    await License.deleteMany({ app: appId });
-
-    // Remove app from user's apps array
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { apps: appId }
-    });
-
-    // Delete the app
-    await App.findByIdAndDelete(appId);
-
-    res.status(200).json({
-      success: true,
-      message: 'App and all related data deleted successfully'
-    });
-  })
-);
-
-// @desc    Get app error messages
-// @route   GET /apps/:id/error-messages
-// @access  Private
-router.get('/:id/error-messages',
-  authenticateToken,
-  requireAppOwnership,
-  asyncHandler(async (req, res) => {
-    const app = await App.findById(req.params.id);
-    if (!app) {
-      return res.status(404).json({
-        success: false,
-        message: 'App not found'
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      data: {
-        errorMessages: app.errorMessages
-      }
-    });
-  })
-);
-
-// @desc    Update app error messages
-// @route   PUT /apps/:id/error-messages
-// @access  Private
-router.put('/:id/error-messages',
-  authenticateToken,
-  requireAppOwnership,
-  asyncHandler(async (req, res) => {
-    const app = await App.findById(req.params.id);
-    if (!app) {
-      return res.status(404).json({
-        success: false,
-        message: 'App not found'
-      });
-    }
-
-    // Update error messages
-    const allowedFields = [
-      'appDisabled', 'usernameTaken', 'keyNotFound', 'keyUsed', 'usernameNotFound',
-      'passMismatch', 'hwidMismatch', 'noActiveSubs', 'hwidBlacklisted', 'pausedSub',
-      'vpnBlocked', 'keyBanned', 'userBanned', 'sessionUnauthed', 'hashCheckFail',
-      'loggedInMsg', 'pausedApp', 'unTooShort', 'pwLeaked'
-    ];
-
-    allowedFields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        app.errorMessages[field] = req.body[field];
-      }
-    });
-
-    await app.save();
-
-    res.status(200).json({
-      success: true,
-      message: 'Error messages updated successfully',
-      data: {
-        errorMessages: app.errorMessages
-      }
-    });
-  })
-);
-
-// @desc    Get app statistics
-// @route   GET /apps/:id/stats
-// @access  Private
-router.get('/:id/stats',
-  authenticateToken,
-  requireAppOwnership,
-  asyncHandler(async (req, res) => {
-    const appId = req.params.id;
-
-    const [
-      totalLicenses,
-      activeLicenses,
-      usedLicenses,
-      expiredLicenses,
-      bannedLicenses
-    ] = await Promise.all([
-      License.countDocuments({ app: appId }),
-      License.countDocuments({ app: appId, status: 'ACTIVE' }),
-      License.countDocuments({ app: appId, used: true }),
-      License.countDocuments({ app: appId, status: 'EXPIRED' }),
-      License.countDocuments({ app: appId, status: 'BANNED' })
-    ]);
-
-    res.status(200).json({
-      success: true,
-      data: {
-        stats: {
-          totalLicenses,
-          activeLicenses,
-          usedLicenses,
-          expiredLicenses,
-          bannedLicenses
-        }
-      }
-    });
-  })
-);
-
+const express = require('express');
+const App = require('../models/App');
+const User = require('../models/User');
+const License = require('../models/License');
+const TrashItem = require('../models/TrashItem');
+const LicenseChange = require('../models/LicenseChange');
+const Client = require('../models/Client');
+const HwidBlacklist = require('../models/HwidBlacklist');
+const AppPause = require('../models/AppPause');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const LockoutEvent = require('../models/LockoutEvent');
+const Session = require('../models/Session');
+const { authenticateToken, requireAppOwnership } = require('../middleware/auth');
+const {
+  validateAppCreation,
+  validateAppUpdate,
+  validateBlacklistEntry,
+  validateIpRules,
+  validateSharingRules,
+  validateEntitlementDefinitions,
+  validateSubscriptionDefinitions,
+  validateLicenseTemplate,
+  validateProgramHash,
+  validateMaintenanceWindow,
+  validate
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Helper function to get error message from app
+const getErrorMessage = (app, messageKey) => {
+  return app.errorMessages[messageKey] || 'An error occurred';
+};
+
+// @desc    Create a new app
+// @route   POST /apps
+// @access  Private
+router.post('/',
+  authenticateToken,
+  validateAppCreation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { name } = req.body;
+    const userId = req.user._id;
+
+    // Check if user can create more apps
+    if (!req.user.canCreateApp()) {
+      return res.status(403).json({
+        success: false,
+        message: `You have reached the maximum limit of ${req.user.maxApps} apps for your plan`
+      });
+    }
+
+    // Create app (appId and appSecret will be auto-generated)
+    const app = await App.create({
+      name,
+      owner: userId
+    });
+
+    // Add app to user's apps array
+    await User.findByIdAndUpdate(userId, {
+      $push: { apps: app._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'App created successfully',
+      data: {
+        app: app.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Get all user's apps
+// @route   GET /apps
+// @access  Private
+router.get('/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const apps = await App.find({ owner: req.user._id })
+      .populate('licenseCount')
+      .populate('resellerCount')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        apps,
+        count: apps.length
+      }
+    });
+  })
+);
+
+// @desc    Get single app
+// @route   GET /apps/:id
+// @access  Private
+router.get('/:id',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id)
+      .populate('licenseCount')
+      .populate('resellerCount');
+
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    // Older apps get their offline signing keypair on first view
+    await app.ensureSigningKeys();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        app: app.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Update app
+// @route   PUT /apps/:id
+// @access  Private
+router.put('/:id',
+  authenticateToken,
+  requireAppOwnership,
+  validateAppUpdate,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { name, version, paused, pauseReason, compensate, settings } = req.body;
+
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    // Update fields if provided
+    if (name !== undefined) app.name = name;
+    if (version !== undefined) app.version = version;
+    if (settings !== undefined) {
+      if (settings.hwidLock !== undefined) app.settings.hwidLock = settings.hwidLock;
+      if (settings.allowCustomLicenseKey !== undefined) app.settings.allowCustomLicenseKey = settings.allowCustomLicenseKey;
+      if (settings.sessionDuration !== undefined) app.settings.sessionDuration = settings.sessionDuration;
+      if (settings.blockVpn !== undefined) app.settings.blockVpn = settings.blockVpn;
+      if (settings.hashCheck !== undefined) app.settings.hashCheck = settings.hashCheck;
+      if (settings.hashLearning !== undefined) app.settings.hashLearning = settings.hashLearning;
+      if (settings.checkLeakedPasswords !== undefined) app.settings.checkLeakedPasswords = settings.checkLeakedPasswords;
+      if (settings.authMode !== undefined) app.settings.authMode = settings.authMode;
+      if (settings.defaultMaxDevices !== undefined) app.settings.defaultMaxDevices = settings.defaultMaxDevices;
+      if (settings.hwidSelfReset !== undefined) app.settings.hwidSelfReset = settings.hwidSelfReset;
+      if (settings.hwidResetCooldown !== undefined) app.settings.hwidResetCooldown = settings.hwidResetCooldown;
+      if (settings.hwidResetMonthlyQuota !== undefined) app.settings.hwidResetMonthlyQuota = settings.hwidResetMonthlyQuota;
+    }
+
+    await app.save();
+
+    // Pausing and unpausing go through the pause history
+    let pause = null;
+    if (paused === true) {
+      pause = await app.pause({ pausedBy: req.user._id, reason: pauseReason });
+    } else if (paused === false) {
+      pause = await app.unpause({ resumedBy: req.user._id, compensate: compensate === true });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'App updated successfully',
+      data: {
+        app: app.toJSON(),
+        pause
+      }
+    });
+  })
+);
+
+// @desc    Delete app
+// @route   DELETE /apps/:id
+// @access  Private
+router.delete('/:id',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const appId = req.params.id;
+
+    const app = await App.findById(appId);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    // Move the app to the trash with its clients and licenses, so restoring it brings them back
+    const trashed = { owner: req.user._id, deletedBy: req.user._id, batch: TrashItem.newBatch() };
+    const clientIds = await Client.find({ app: appId }).distinct('_id');
+
+    await Session.deleteMany({ client: { $in: clientIds } });
+    await TrashItem.moveToTrash('client', { app: appId }, trashed);
+    await TrashItem.moveToTrash('license', { app: appId }, trashed);
+    await TrashItem.moveToTrash('app', { _id: appId }, trashed); // Also removes it from the user's apps
+
+    res.status(200).json({
+      success: true,
+      message: 'App and all related data moved to trash',
+      data: {
+        batch: trashed.batch
+      }
+    });
+  })
+);
+
+// @desc    Get app error messages
+// @route   GET /apps/:id/error-messages
+// @access  Private
+router.get('/:id/error-messages',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        errorMessages: app.errorMessages
+      }
+    });
+  })
+);
+
+// @desc    Update app error messages
+// @route   PUT /apps/:id/error-messages
+// @access  Private
+router.put('/:id/error-messages',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    // Update error messages
+    const allowedFields = [
+      'appDisabled', 'usernameTaken', 'keyNotFound', 'keyUsed', 'usernameNotFound',
+      'passMismatch', 'hwidMismatch', 'noActiveSubs', 'hwidBlacklisted', 'pausedSub',
+      'vpnBlocked', 'ipBlocked', 'keyBanned', 'userBanned', 'sessionUnauthed', 'hashCheckFail',
+      'loggedInMsg', 'pausedApp', 'unTooShort', 'pwLeaked'
+    ];
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        app.errorMessages[field] = req.body[field];
+      }
+    });
+
+    await app.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Error messages updated successfully',
+      data: {
+        errorMessages: app.errorMessages
+      }
+    });
+  })
+);
+
+// @desc    Issue a signed offline license certificate
+// @route   POST /apps/:id/certificates
+// @access  Private
+router.post('/:id/certificates',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const { licenseKey, hwid } = req.body;
+
+    if (!licenseKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'License key is required'
+      });
+    }
+
+    const app = await App.findById(req.params.id).select('+signingKeys.privateKey');
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    await app.ensureSigningKeys();
+
+    const license = await License.findOne({ key: licenseKey, app: app._id });
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: getErrorMessage(app, 'keyNotFound')
+      });
+    }
+
+    if (license.status !== 'ACTIVE') {
+      return res.status(400).json({
+        success: false,
+        message: getErrorMessage(app, 'keyBanned')
+      });
+    }
+
+    // A redeemed key is certified for its client's HWID, expiry and entitlements
+    let certHwid = hwid;
+    let expiresAt = license.expiresAt;
+    let entitlements = license.entitlements;
+
+    if (!license.used) {
+      if (!hwid) {
+        return res.status(400).json({
+          success: false,
+          message: 'HWID is required to certify a license that is not bound to a device'
+        });
+      }
+
+      // Certifying redeems the key for this device: its clock starts and it can't be used online
+      const claimed = await License.claim(license._id);
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: getErrorMessage(app, 'keyUsed')
+        });
+      }
+
+      await License.updateOne({ _id: license._id }, { $set: { certifiedHwid: hwid } });
+      await LicenseChange.create(LicenseChange.entry(
+        license,
+        'redeem',
+        LicenseChange.diff(license, { ...LicenseChange.snapshot(claimed), certifiedHwid: hwid }),
+        { type: 'owner', id: req.user._id, ip: req.ip }
+      ));
+
+      expiresAt = claimed.expiresAt;
+    } else if (license.certifiedHwid) {
+      // Keys claimed by an earlier certificate are only certified again for the same device
+      if (hwid && hwid !== license.certifiedHwid) {
+        return res.status(400).json({
+          success: false,
+          message: getErrorMessage(app, 'hwidMismatch')
+        });
+      }
+
+      certHwid = license.certifiedHwid;
+    } else {
+      const client = await Client.findById(license.usedBy);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client for this license not found'
+        });
+      }
+
+      if (client.ban) {
+        return res.status(400).json({
+          success: false,
+          message: getErrorMessage(app, 'userBanned')
+        });
+      }
+
+      // Multi-seat clients can be certified for any of their registered devices
+      const deviceHwids = client.devices.length > 0
+        ? client.devices.map(device => device.hwid)
+        : [client.hwid].filter(Boolean);
+
+      if (hwid && deviceHwids.length > 0 && !deviceHwids.includes(hwid)) {
+        return res.status(400).json({
+          success: false,
+          message: getErrorMessage(app, 'hwidMismatch')
+        });
+      }
+
+      certHwid = hwid || client.hwid;
+      expiresAt = client.expiresAt;
+      entitlements = client.currentEntitlements();
+    }
+
+    if (!certHwid) {
+      return res.status(400).json({
+        success: false,
+        message: 'HWID is required to certify a license that is not bound to a device'
+      });
+    }
+
+    if (new Date() > expiresAt) {
+      return res.status(400).json({
+        success: false,
+        message: getErrorMessage(app, 'noActiveSubs')
+      });
+    }
+
+    const certificate = app.signCertificate({
+      key: license.key,
+      hwid: certHwid,
+      expiresAt: expiresAt.toISOString(),
+      appVersion: app.version,
+      entitlements: app.resolveEntitlements(entitlements)
+    });
+
+    res.attachment(`${license.key}.lic`);
+    res.status(200).send(JSON.stringify(certificate, null, 2));
+  })
+);
+
+// @desc    Get app HWID blacklist
+// @route   GET /apps/:id/blacklist
+// @access  Private
+router.get('/:id/blacklist',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const { search, page = 1, limit = 50 } = req.query;
+
+    // Build query
+    const query = { app: req.params.id };
+
+    if (search) {
+      query.hwid = { $regex: search, $options: 'i' };
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      HwidBlacklist.find(query)
+        .populate('client', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      HwidBlacklist.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  })
+);
+
+// @desc    Blacklist an HWID
+// @route   POST /apps/:id/blacklist
+// @access  Private
+router.post('/:id/blacklist',
+  authenticateToken,
+  requireAppOwnership,
+  validateBlacklistEntry,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { hwid, reason, expiresAt = null } = req.body;
+    const appId = req.params.id;
+
+    const existingEntry = await HwidBlacklist.findOne({ app: appId, hwid });
+    if (existingEntry) {
+      return res.status(400).json({
+        success: false,
+        message: 'HWID is already blacklisted'
+      });
+    }
+
+    const entry = await HwidBlacklist.create({
+      app: appId,
+      hwid,
+      reason,
+      expiresAt
+    });
+
+    // Blacklisted devices lose their open sessions
+    const clients = await Client.find({ app: appId, hwid }).select('_id');
+    await Session.deleteMany({ client: { $in: clients.map(client => client._id) } });
+
+    res.status(201).json({
+      success: true,
+      message: 'HWID blacklisted successfully',
+      data: {
+        entry: entry.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Remove an HWID from the blacklist
+// @route   DELETE /apps/:id/blacklist/:entryId
+// @access  Private
+router.delete('/:id/blacklist/:entryId',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const entry = await HwidBlacklist.findOneAndDelete({
+      _id: req.params.entryId,
+      app: req.params.id
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blacklist entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'HWID removed from blacklist'
+    });
+  })
+);
+
+// @desc    Get app IP allow/deny lists
+// @route   GET /apps/:id/ip-rules
+// @access  Private
+router.get('/:id/ip-rules',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ipRules: app.ipRules,
+        blockVpn: app.settings.blockVpn
+      }
+    });
+  })
+);
+
+// @desc    Replace app IP allow/deny lists
+// @route   PUT /apps/:id/ip-rules
+// @access  Private
+router.put('/:id/ip-rules',
+  authenticateToken,
+  requireAppOwnership,
+  validateIpRules,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { allow, deny } = req.body;
+
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    if (allow !== undefined) app.ipRules.allow = allow;
+    if (deny !== undefined) app.ipRules.deny = deny;
+
+    await app.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'IP rules updated successfully',
+      data: {
+        ipRules: app.ipRules
+      }
+    });
+  })
+);
+
+// @desc    Get app account-sharing rules
+// @route   GET /apps/:id/sharing-rules
+// @access  Private
+router.get('/:id/sharing-rules',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sharingRules: app.sharingRules
+      }
+    });
+  })
+);
+
+// @desc    Update app account-sharing rules
+// @route   PUT /apps/:id/sharing-rules
+// @access  Private
+router.put('/:id/sharing-rules',
+  authenticateToken,
+  requireAppOwnership,
+  validateSharingRules,
+  validate,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    const fields = ['enabled', 'windowHours', 'maxIps', 'maxHwids', 'impossibleTravel', 'maxTravelSpeed', 'action'];
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        app.sharingRules[field] = req.body[field];
+      }
+    }
+
+    await app.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Sharing rules updated successfully',
+      data: {
+        sharingRules: app.sharingRules
+      }
+    });
+  })
+);
+
+// @desc    Get app subscription definitions
+// @route   GET /apps/:id/subscriptions
+// @access  Private
+router.get('/:id/subscriptions',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id).select('subscriptions');
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        subscriptions: app.subscriptions
+      }
+    });
+  })
+);
+
+// @desc    Replace app subscription definitions
+// @route   PUT /apps/:id/subscriptions
+// @access  Private
+router.put('/:id/subscriptions',
+  authenticateToken,
+  requireAppOwnership,
+  validateSubscriptionDefinitions,
+  validate,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    app.subscriptions = req.body.subscriptions.map(({ name, level, description }) => ({
+      name,
+      level,
+      description
+    }));
+    await app.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscriptions updated successfully',
+      data: {
+        subscriptions: app.subscriptions
+      }
+    });
+  })
+);
+
+// @desc    Get app entitlement definitions and license templates
+// @route   GET /apps/:id/entitlements
+// @access  Private
+router.get('/:id/entitlements',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id).select('entitlements licenseTemplates');
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entitlements: app.entitlements,
+        licenseTemplates: app.licenseTemplates
+      }
+    });
+  })
+);
+
+// @desc    Replace app entitlement definitions
+// @route   PUT /apps/:id/entitlements
+// @access  Private
+router.put('/:id/entitlements',
+  authenticateToken,
+  requireAppOwnership,
+  validateEntitlementDefinitions,
+  validate,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    app.entitlements = req.body.entitlements.map(({ key, kind, defaultValue, description }) => ({
+      key,
+      kind,
+      defaultValue,
+      description
+    }));
+    await app.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Entitlements updated successfully',
+      data: {
+        entitlements: app.entitlements
+      }
+    });
+  })
+);
+
+// @desc    Create a license template
+// @route   POST /apps/:id/license-templates
+// @access  Private
+router.post('/:id/license-templates',
+  authenticateToken,
+  requireAppOwnership,
+  validateLicenseTemplate,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { name, entitlements = {} } = req.body;
+
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    if (app.licenseTemplates.some(entry => entry.name === name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A license template with this name already exists'
+      });
+    }
+
+    const problem = app.checkEntitlements(entitlements);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    app.licenseTemplates.push({ name, entitlements });
+    await app.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'License template created successfully',
+      data: {
+        licenseTemplate: app.licenseTemplates[app.licenseTemplates.length - 1]
+      }
+    });
+  })
+);
+
+// @desc    Update a license template (licenses already created from it keep their values)
+// @route   PUT /apps/:id/license-templates/:templateId
+// @access  Private
+router.put('/:id/license-templates/:templateId',
+  authenticateToken,
+  requireAppOwnership,
+  validateLicenseTemplate,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { name, entitlements } = req.body;
+
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    const entry = app.licenseTemplates.id(req.params.templateId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'License template not found'
+      });
+    }
+
+    if (app.licenseTemplates.some(other => other.name === name && other._id.toString() !== entry._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A license template with this name already exists'
+      });
+    }
+
+    if (entitlements !== undefined) {
+      const problem = app.checkEntitlements(entitlements);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+      entry.entitlements = entitlements;
+    }
+    entry.name = name;
+    await app.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'License template updated successfully',
+      data: {
+        licenseTemplate: entry
+      }
+    });
+  })
+);
+
+// @desc    Delete a license template (licenses created from it keep their values)
+// @route   DELETE /apps/:id/license-templates/:templateId
+// @access  Private
+router.delete('/:id/license-templates/:templateId',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    const entry = app.licenseTemplates.id(req.params.templateId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'License template not found'
+      });
+    }
+
+    entry.deleteOne();
+    await app.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'License template deleted successfully'
+    });
+  })
+);
+
+// @desc    Get allowed program hashes
+// @route   GET /apps/:id/hashes
+// @access  Private
+router.get('/:id/hashes',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const { version } = req.query;
+
+    const app = await App.findById(req.params.id).select('programHashes settings');
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    const hashes = version
+      ? app.programHashes.filter(entry => entry.version === version)
+      : app.programHashes;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hashes,
+        hashCheck: app.settings.hashCheck,
+        hashLearning: app.settings.hashLearning
+      }
+    });
+  })
+);
+
+// @desc    Register an allowed program hash
+// @route   POST /apps/:id/hashes
+// @access  Private
+router.post('/:id/hashes',
+  authenticateToken,
+  requireAppOwnership,
+  validateProgramHash,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { hash, note } = req.body;
+
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    const version = req.body.version || app.version;
+    const normalizedHash = hash.toLowerCase();
+
+    if (app.programHashes.some(entry => entry.version === version && entry.hash === normalizedHash)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hash is already registered for this version'
+      });
+    }
+
+    app.programHashes.push({ version, hash: normalizedHash, note });
+    await app.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Program hash registered successfully',
+      data: {
+        hash: app.programHashes[app.programHashes.length - 1]
+      }
+    });
+  })
+);
+
+// @desc    Remove an allowed program hash
+// @route   DELETE /apps/:id/hashes/:hashId
+// @access  Private
+router.delete('/:id/hashes/:hashId',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const app = await App.findById(req.params.id);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    const entry = app.programHashes.id(req.params.hashId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program hash not found'
+      });
+    }
+
+    entry.deleteOne();
+    await app.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Program hash removed successfully'
+    });
+  })
+);
+
+// @desc    Get app pause history
+// @route   GET /apps/:id/pauses
+// @access  Private
+router.get('/:id/pauses',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { app: req.params.id };
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const [pauses, total] = await Promise.all([
+      AppPause.find(query)
+        .populate('pausedBy', 'name email')
+        .populate('resumedBy', 'name email')
+        .populate('maintenanceWindow', 'startsAt endsAt reason')
+        .sort({ pausedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AppPause.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pauses,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  })
+);
+
+// @desc    Get app maintenance windows
+// @route   GET /apps/:id/maintenance
+// @access  Private
+router.get('/:id/maintenance',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const { status } = req.query;
+
+    // Build query
+    const query = { app: req.params.id };
+    if (status) {
+      query.status = status;
+    }
+
+    const windows = await MaintenanceWindow.find(query)
+      .sort({ startsAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        windows
+      }
+    });
+  })
+);
+
+// @desc    Schedule a maintenance window
+// @route   POST /apps/:id/maintenance
+// @access  Private
+router.post('/:id/maintenance',
+  authenticateToken,
+  requireAppOwnership,
+  validateMaintenanceWindow,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { startsAt, endsAt, reason, compensate } = req.body;
+
+    if (new Date(endsAt) <= new Date(startsAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maintenance window must end after it starts'
+      });
+    }
+
+    // Windows for the same app must not overlap
+    const overlapping = await MaintenanceWindow.findOne({
+      app: req.params.id,
+      status: { $in: ['scheduled', 'active'] },
+      startsAt: { $lt: endsAt },
+      endsAt: { $gt: startsAt }
+    });
+
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maintenance window overlaps an existing window'
+      });
+    }
+
+    const window = await MaintenanceWindow.create({
+      app: req.params.id,
+      createdBy: req.user._id,
+      startsAt,
+      endsAt,
+      reason,
+      compensate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance window scheduled successfully',
+      data: {
+        window
+      }
+    });
+  })
+);
+
+// @desc    Cancel a maintenance window
+// @route   DELETE /apps/:id/maintenance/:windowId
+// @access  Private
+router.delete('/:id/maintenance/:windowId',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const window = await MaintenanceWindow.findOne({
+      _id: req.params.windowId,
+      app: req.params.id
+    });
+
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance window not found'
+      });
+    }
+
+    if (!['scheduled', 'active'].includes(window.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Maintenance window is already ${window.status}`
+      });
+    }
+
+    const wasActive = window.status === 'active';
+    window.status = 'cancelled';
+    await window.save();
+
+    // Cancelling a running window ends its pause straight away
+    if (wasActive) {
+      const pause = await AppPause.findOne({ app: window.app, resumedAt: null, maintenanceWindow: window._id });
+      if (pause) {
+        const app = await App.findById(window.app);
+        await app.unpause({ resumedBy: req.user._id, compensate: window.compensate });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance window cancelled successfully',
+      data: {
+        window
+      }
+    });
+  })
+);
+
+// @desc    Get login lockout events for the app's clients and resellers
+// @route   GET /apps/:id/lockouts
+// @access  Private
+router.get('/:id/lockouts',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const { scope, page = 1, limit = 50 } = req.query;
+
+    // Build query
+    const query = { app: req.params.id };
+    if (scope) {
+      query.scope = scope;
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const [lockouts, total] = await Promise.all([
+      LockoutEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      LockoutEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lockouts,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  })
+);
+
+// @desc    Get app statistics
+// @route   GET /apps/:id/stats
+// @access  Private
+router.get('/:id/stats',
+  authenticateToken,
+  requireAppOwnership,
+  asyncHandler(async (req, res) => {
+    const appId = req.params.id;
+
+    const app = await App.findById(appId).select('blockCounts');
+
+    const [
+      totalLicenses,
+      activeLicenses,
+      usedLicenses,
+      expiredLicenses,
+      bannedLicenses,
+      totalClients,
+      expiredClients
+    ] = await Promise.all([
+      License.countDocuments({ app: appId }),
+      License.countDocuments({ app: appId, status: 'ACTIVE' }),
+      License.countDocuments({ app: appId, used: true }),
+      License.countDocuments({ app: appId, status: 'EXPIRED' }),
+      License.countDocuments({ app: appId, status: 'BANNED' }),
+      Client.countDocuments({ app: appId }),
+      Client.countDocuments({ app: appId, expired: true })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stats: {
+          totalLicenses,
+          activeLicenses,
+          usedLicenses,
+          expiredLicenses,
+          bannedLicenses,
+          totalClients,
+          expiredClients,
+          blockedIpAttempts: app.blockCounts.ip,
+          blockedVpnAttempts: app.blockCounts.vpn
+        }
+      }
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
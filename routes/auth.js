@@ -1,102 +1,118 @@
-const express = require('express');
-const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
-const { validateRegistration, validateLogin, validate } = require('../middleware/validation');
-const { asyncHandler } = require('../middleware/errorHandler');
-
-const router = express.Router();
-
-// @desc    Register a new user
-// @route   POST /auth/register
-// @access  Public
-router.post('/register', 
-  validateRegistration,
-  validate,
-  asyncHandler(async (req, res) => {
-    const { name, email, password } = req.body;
-
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'User with this email already exists'
-      });
-    }
-
-    // Create user
-    const user = await User.create({
-      name,
-      email,
-      password
-    });
-
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      data: {
-        user: user.toJSON(),
-        token
-      }
-    });
-  })
-);
-
-// @desc    Login user
-// @route   POST /auth/login
-// @access  Public
-router.post('/login',
-  validateLogin,
-  validate,
-  asyncHandler(async (req, res) => {
-    const { email, password } = req.body;
-
-    // Find user and include password for comparison
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
-
-    // Check password
-    const isPasswordCorrect = await user.comparePassword(password);
-    if (!isPasswordCorrect) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
-
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: user.toJSON(),
-        token
-      }
-    });
-  })
-);
-
-// @desc    Get current user profile
-// @route   GET /auth/profile
-// @access  Private
-router.get('/profile',
-  require('../middleware/auth').authenticateToken,
-  asyncHandler(async (req, res) => {
-    res.status(200).json({
-      success: true,
-      data: req.user.toJSON()
-    });
-  })
-);
-
+const express = require('express');
+const User = require('../models/User');
+const { generateToken } = require('../middleware/auth');
+const { getLockout, recordFailure, recordSuccess, sendLockedOut } = require('../utils/loginThrottle');
+const { validateRegistration, validateLogin, validate } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// @desc    Register a new user
+// @route   POST /auth/register
+// @access  Public
+router.post('/register', 
+  validateRegistration,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { name, email, password } = req.body;
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    // Create user
+    const user = await User.create({
+      name,
+      email,
+      password
+    });
+
+    // Generate token
+    const token = generateToken(user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: user.toJSON(),
+        token
+      }
+    });
+  })
+);
+
+// @desc    Login user
+// @route   POST /auth/login
+// @access  Public
+router.post('/login',
+  validateLogin,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+
+    // Throttle failed logins by IP and by email
+    const throttleKeys = [
+      { type: 'ip', value: req.ip },
+      { type: 'identity', value: email }
+    ];
+
+    const lockedUntil = await getLockout('owner', throttleKeys);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
+
+    // Find user and include password for comparison
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      await recordFailure('owner', throttleKeys, { ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    // Check password
+    const isPasswordCorrect = await user.comparePassword(password);
+    if (!isPasswordCorrect) {
+      await recordFailure('owner', throttleKeys, { ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    await recordSuccess('owner', throttleKeys);
+
+    // Generate token
+    const token = generateToken(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.toJSON(),
+        token
+      }
+    });
+  })
+);
+
+// @desc    Get current user profile
+// @route   GET /auth/profile
+// @access  Private
+router.get('/profile',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: req.user.toJSON()
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
@@ -1,627 +1,1795 @@
-const express = require('express');
-const Client = require('../models/Client');
-const License = require('../models/License');
-const App = require('../models/App');
-const { validateClientRegistration, validateClientLogin, validate } = require('../middleware/validation');
-const { asyncHandler } = require('../middleware/errorHandler');
-
-const router = express.Router();
-
-// Helper function to get error message from app
-const getErrorMessage = (app, messageKey) => {
-  return app.errorMessages[messageKey] || 'An error occurred';
-};
-
-// @desc    Register a new client
-// @route   POST /clients/register
-// @access  Public
-router.post('/register',
-  validateClientRegistration,
-  validate,
-  asyncHandler(async (req, res) => {
-    const { username, password, licenseKey, hwid } = req.body;
-
-    // Find license and populate app
-    const license = await License.findOne({ key: licenseKey })
-      .populate('app');
-
-    if (!license) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid license key'
-      });
-    }
-
-    const app = license.app;
-
-    // Check if app is paused
-    if (app.paused) {
-      return res.status(400).json({
-        success: false,
-        message: getErrorMessage(app, 'pausedApp')
-      });
-    }
-
-    // Check if license is already used
-    if (license.used) {
-      return res.status(400).json({
-        success: false,
-        message: getErrorMessage(app, 'keyUsed')
-      });
-    }
-
-    // Check if license is active
-    if (license.status !== 'ACTIVE') {
-      return res.status(400).json({
-        success: false,
-        message: getErrorMessage(app, 'keyBanned')
-      });
-    }
-
-    // Check if license is expired
-    if (license.isExpired) {
-      return res.status(400).json({
-        success: false,
-        message: getErrorMessage(app, 'noActiveSubs')
-      });
-    }
-
-    // Check username length
-    if (username.length < 3) {
-      return res.status(400).json({
-        success: false,
-        message: getErrorMessage(app, 'unTooShort')
-      });
-    }
-
-    // Check if username already exists for this app
-    const existingClient = await Client.findOne({ 
-      app: app._id, 
-      username 
-    });
-
-    if (existingClient) {
-      return res.status(400).json({
-        success: false,
-        message: getErrorMessage(app, 'usernameTaken')
-      });
-    }
-
-    // Create client
-    const client = await Client.create({
-      username,
-      password,
-      hwid,
-      app: app._id,
-      licenseKey,
-      expiresAt: license.expiresAt
-    });
-
-    // Mark license as used
-    license.used = true;
-    license.usedBy = client._id;
-    await license.save();
-
-    res.status(201).json({
-      success: true,
-      message: 'Registration successful',
-      data: {
-        client: client.toJSON(),
-        app: {
-          name: app.name,
-          version: app.version
-        }
-      }
-    });
-  })
-);
-
-// @desc    Client login
-// @route   POST /clients/login
-// @access  Public
-router.post('/login',
-  validateClientLogin,
-  validate,
-  asyncHandler(async (req, res) => {
-    const { username, password, hwid, appId, appSecret } = req.body;
-
-    // Find app by appId and appSecret
-    const app = await App.findOne({ appId, appSecret });
-
-    if (!app) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid application credentials'
-      });
-    }
-
-    // Check if app is paused
-    if (app.paused) {
-      return res.status(400).json({
-        success: false,
-        message: getErrorMessage(app, 'pausedApp')
-      });
-    }
-
-    // Find client
-    const client = await Client.findOne({ 
-      app: app._id, 
-      username 
-    }).select('+password');
-
-    if (!client) {
-      return res.status(401).json({
-        success: false,
-        message: getErrorMessage(app, 'usernameNotFound')
-      });
-    }
-
-    // Check password
-    const isPasswordCorrect = await client.comparePassword(password);
-    if (!isPasswordCorrect) {
-      return res.status(401).json({
-        success: false,
-        message: getErrorMessage(app, 'passMismatch')
-      });
-    }
-
-    // Check if client is banned
-    if (client.ban) {
-      return res.status(403).json({
-        success: false,
-        message: getErrorMessage(app, 'userBanned')
-      });
-    }
-
-    // Check if client is expired
-    if (client.isExpired) {
-      return res.status(403).json({
-        success: false,
-        message: getErrorMessage(app, 'noActiveSubs')
-      });
-    }
-
-    // Check HWID if HWID lock is enabled
-    if (app.settings.hwidLock) {
-      if (client.hwid !== hwid) {
-        return res.status(403).json({
-          success: false,
-          message: getErrorMessage(app, 'hwidMismatch')
-        });
-      }
-    } else {
-      // Update HWID if lock is disabled
-      if (client.hwid !== hwid) {
-        client.hwid = hwid;
-      }
-    }
-
-    // Update login info
-    await client.updateLoginInfo();
-
-    res.status(200).json({
-      success: true,
-      message: getErrorMessage(app, 'loggedInMsg'),
-      data: {
-        client: client.toJSON(),
-        app: {
-          name: app.name,
-          version: app.version
-        }
-      }
-    });
-  })
-);
-
-// @desc    Validate client session
-// @route   POST /clients/validate-session
-// @access  Public
-router.post('/validate-session',
-  asyncHandler(async (req, res) => {
-    const { username, appId, appSecret } = req.body;
-
-    if (!username || !appId || !appSecret) {
-      return res.status(400).json({
-        success: false,
-        message: 'Username, appId, and appSecret are required'
-      });
-    }
-
-    // Find app
-    const app = await App.findOne({ appId, appSecret });
-    if (!app) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid application credentials'
-      });
-    }
-
-    // Check if app is paused
-    if (app.paused) {
-      return res.status(400).json({
-        success: false,
-        message: getErrorMessage(app, 'pausedApp')
-      });
-    }
-
-    // Find client
-    const client = await Client.findOne({ 
-      app: app._id, 
-      username 
-    });
-
-    if (!client) {
-      return res.status(404).json({
-        success: false,
-        message: getErrorMessage(app, 'usernameNotFound')
-      });
-    }
-
-    // Check if client is banned
-    if (client.ban) {
-      return res.status(403).json({
-        success: false,
-        message: getErrorMessage(app, 'userBanned')
-      });
-    }
-
-    // Check if client is expired
-    if (client.isExpired) {
-      return res.status(403).json({
-        success: false,
-        message: getErrorMessage(app, 'noActiveSubs')
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      message: 'Session is valid',
-      data: {
-        client: client.toJSON(),
-        app: {
-          name: app.name,
-          version: app.version
-        }
-      }
-    });
-  })
-);
-
-// @desc    Get client info (for app developers to manage clients)
-// @route   GET /clients
-// @access  Private (requires app ownership)
-router.get('/',
-  require('../middleware/auth').authenticateToken,
-  asyncHandler(async (req, res) => {
-    const { app: appId, page = 1, limit = 20, search } = req.query;
-    const userId = req.user._id;
-
-    if (!appId) {
-      return res.status(400).json({
-        success: false,
-        message: 'App ID is required'
-      });
-    }
-
-    // Check if user owns the app
-    const app = await App.findOne({ _id: appId, owner: userId });
-    if (!app) {
-      return res.status(404).json({
-        success: false,
-        message: 'App not found or you are not the owner'
-      });
-    }
-
-    // Build query
-    const query = { app: appId };
-
-    // Add search if provided
-    if (search) {
-      query.username = { $regex: search, $options: 'i' };
-    }
-
-    // Calculate pagination
-    const skip = (page - 1) * limit;
-
-    // Get clients with pagination
-    const [clients, total] = await Promise.all([
-      Client.find(query)
-        .populate('app', 'name version') // Populate app details
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Client.countDocuments(query)
-    ]);
-
-    res.status(200).json({
-      success: true,
-      data: {
-        clients,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total,
-          limit: parseInt(limit)
-        }
-      }
-    });
-  })
-);
-
-// @desc    Ban/Unban client
-// @route   PATCH /clients/:id/toggle-ban
-// @access  Private (requires app ownership)
-router.patch('/:id/toggle-ban',
-  require('../middleware/auth').authenticateToken,
-  asyncHandler(async (req, res) => {
-    const clientId = req.params.id;
-    const userId = req.user._id;
-
-    // Find client and populate app
-    const client = await Client.findById(clientId)
-      .populate('app', 'owner name');
-
-    if (!client) {
-      return res.status(404).json({
-        success: false,
-        message: 'Client not found'
-      });
-    }
-
-    // Check if user owns the app
-    if (client.app.owner.toString() !== userId.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to manage this client'
-      });
-    }
-
-    // Toggle ban status
-    client.ban = !client.ban;
-    await client.save();
-
-    res.status(200).json({
-      success: true,
-      message: `Client ${client.ban ? 'banned' : 'unbanned'} successfully`,
-      data: {
-        client: client.toJSON()
-      }
-    });
-  })
-);
-
-// @desc    Extend client subscription
-// @route   PATCH /clients/:id/extend
-// @access  Private (requires app ownership)
-router.patch('/:id/extend',
-  require('../middleware/auth').authenticateToken,
-  asyncHandler(async (req, res) => {
-    const clientId = req.params.id;
-    const { days } = req.body;
-    const userId = req.user._id;
-
-    if (!days || days < 1) {
-      return res.status(400).json({
-        success: false,
-        message: 'Days must be a positive number'
-      });
-    }
-
-    // Find client and populate app
-    const client = await Client.findById(clientId)
-      .populate('app', 'owner name');
-
-    if (!client) {
-      return res.status(404).json({
-        success: false,
-        message: 'Client not found'
-      });
-    }
-
-    // Check if user owns the app
-    if (client.app.owner.toString() !== userId.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to manage this client'
-      });
-    }
-
-    // Extend subscription
-    await client.extendExpiry(days);
-
-    res.status(200).json({
-      success: true,
-      message: `Client subscription extended by ${days} days`,
-      data: {
-        client: client.toJSON()
-      }
-    });
-  })
-);
-
-// @desc    Reset client HWID
-// @route   PATCH /clients/:id/reset-hwid
-// @access  Private (requires app ownership)
-router.patch('/:id/reset-hwid',
-  require('../middleware/auth').authenticateToken,
-  asyncHandler(async (req, res) => {
-    const clientId = req.params.id;
-    const userId = req.user._id;
-
-    // Find client and populate app
-    const client = await Client.findById(clientId)
-      .populate('app', 'owner name');
-
-    if (!client) {
-      return res.status(404).json({
-        success: false,
-        message: 'Client not found'
-      });
-    }
-
-    // Check if user owns the app
-    if (client.app.owner.toString() !== userId.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to manage this client'
-      });
-    }
-
-    // Reset HWID to null
-    client.hwid = null;
-    await client.save();
-
-    res.status(200).json({
-      success: true,
-      message: 'Client HWID reset successfully',
-      data: {
-        client: client.toJSON()
-      }
-    });
-  })
-);
-
-// @desc    Delete client
-// @route   DELETE /clients/:id
-// @access  Private (requires app ownership)
-router.delete('/:id',
-  require('../middleware/auth').authenticateToken,
-  asyncHandler(async (req, res) => {
-    const clientId = req.params.id;
-    const userId = req.user._id;
-
-    // Find client and populate app and license
-    const client = await Client.findById(clientId)
-      .populate('app', 'owner name');
-
-    if (!client) {
-      return res.status(404).json({
-        success: false,
-        message: 'Client not found'
-      });
-    }
-
-    // Check if user owns the app
-    if (client.app.owner.toString() !== userId.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to delete this client'
-      });
-    }
-
-    // Find and free up the license that was used by this client
-    const license = await License.findOne({ key: client.licenseKey });
-    if (license) {
-      license.used = false;
-      license.usedBy = undefined;
-      await license.save();
-    }
-
-    // Delete the client
-    await Client.findByIdAndDelete(clientId);
-
-    res.status(200).json({
-      success: true,
-      message: 'Client deleted successfully and license has been freed'
-    });
-  })
-);
-
-// @desc    Create end user directly (owner only, no license key required)
-// @route   POST /clients/create-direct
-// @access  Private (Owner only)
-router.post('/create-direct',
-  require('../middleware/auth').authenticateToken,
-  asyncHandler(async (req, res) => {
-    const { username, password, appId, hwid = null, expiresAt } = req.body;
-    const userId = req.user._id;
-
-    // Validate required fields
-    if (!username || !password || !appId || !expiresAt) {
-      return res.status(400).json({
-        success: false,
-        message: 'Username, password, appId, and expiresAt are required'
-      });
-    }
-
-    // Find app and verify ownership
-    const app = await App.findOne({ _id: appId, owner: userId });
-    
-    if (!app) {
-      return res.status(404).json({
-        success: false,
-        message: 'App not found or you are not the owner'
-      });
-    }
-
-    // Check if app is paused
-    if (app.paused) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot create users for paused applications'
-      });
-    }
-
-    // Validate username length
-    if (username.length < 3) {
-      return res.status(400).json({
-        success: false,
-        message: 'Username must be at least 3 characters long'
-      });
-    }
-
-    // Validate password length
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters long'
-      });
-    }
-
-    // Check if username already exists for this app
-    const existingClient = await Client.findOne({ 
-      app: app._id, 
-      username 
-    });
-
-    if (existingClient) {
-      return res.status(400).json({
-        success: false,
-        message: 'Username already exists for this application'
-      });
-    }
-
-    // Validate expiration date
-    const expireDate = new Date(expiresAt);
-    if (isNaN(expireDate.getTime()) || expireDate <= new Date()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid expiration date. Must be a future date.'
-      });
-    }
-
-    // Create client without license key (direct creation)
-    const client = await Client.create({
-      username,
-      password,
-      hwid: hwid || null, // Use provided HWID or null
-      app: app._id,
-      licenseKey: '', // Empty license key for direct creation
-      expiresAt: expireDate
-    });
-
-    res.status(201).json({
-      success: true,
-      message: 'End user created successfully',
-      data: {
-        client: client.toJSON(),
-        app: {
-          name: app.name,
-          version: app.version
-        }
-      }
-    });
-  })
-);
-
+const express = require('express');
+const crypto = require('crypto');
+const Client = require('../models/Client');
+const License = require('../models/License');
+const App = require('../models/App');
+const Session = require('../models/Session');
+const HwidBlacklist = require('../models/HwidBlacklist');
+const HwidResetLog = require('../models/HwidResetLog');
+const ClientLoginEvent = require('../models/ClientLoginEvent');
+const SharingFlag = require('../models/SharingFlag');
+const LicenseChange = require('../models/LicenseChange');
+const TrashItem = require('../models/TrashItem');
+const { getIpBlockReason } = require('../utils/ipFilter');
+const { getLockout, recordFailure, recordSuccess, sendLockedOut } = require('../utils/loginThrottle');
+const { evaluateSharing } = require('../utils/sharingDetection');
+const {
+  validateClientRegistration,
+  validateClientLogin,
+  validateLicenseLogin,
+  validateClientSession,
+  validateSubscriptionRedeem,
+  validateHwidSelfReset,
+  validateLoginEventQuery,
+  validate
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Helper function to get error message from app
+const getErrorMessage = (app, messageKey) => {
+  return app.errorMessages[messageKey] || 'An error occurred';
+};
+
+// Check the caller's IP against the app's IP rules, counting any block
+const checkIpBlocked = async (app, ip) => {
+  const reason = getIpBlockReason(app, ip);
+  if (reason) {
+    await app.recordBlock(reason);
+  }
+  return reason;
+};
+
+// App-level checks shared by client auth routes; returns a rejection or null
+const checkAppAccess = async (app, req) => {
+  const { hwid, hash, version } = req.body;
+
+  // Check IP rules before anything else
+  const ipBlock = await checkIpBlocked(app, req.ip);
+  if (ipBlock) {
+    return { status: 403, messageKey: ipBlock };
+  }
+
+  // Check if app is paused
+  if (app.paused) {
+    return { status: 400, messageKey: 'pausedApp' };
+  }
+
+  // Check if HWID is blacklisted
+  if (await HwidBlacklist.isBlacklisted(app._id, hwid)) {
+    return { status: 403, messageKey: 'hwidBlacklisted' };
+  }
+
+  // Check the calling build's program hash
+  if (!(await app.verifyProgramHash(version || app.version, hash))) {
+    return { status: 403, messageKey: 'hashCheckFail' };
+  }
+
+  return null;
+};
+
+// Checks a license key must pass before it's redeemed; returns a rejection or null
+const checkRedeemableLicense = (license) => {
+  if (!license) {
+    return { status: 400, messageKey: 'keyNotFound' };
+  }
+
+  // Check if license is already used
+  if (license.used) {
+    return { status: 400, messageKey: 'keyUsed' };
+  }
+
+  // Check if license is expired (by date, or already marked by the expiry job)
+  if (license.isExpired || license.status === 'EXPIRED') {
+    return { status: 400, messageKey: 'noActiveSubs' };
+  }
+
+  // Check if license is active
+  if (license.status !== 'ACTIVE') {
+    return { status: 400, messageKey: 'keyBanned' };
+  }
+
+  return null;
+};
+
+// Redeem a checked license: claim the key atomically, let buildClient create the client or add the
+// subscription from the claimed license (whose clock has started), and save it, handing the key
+// back if that fails. Resolves to the saved client, or null if another request claimed the key first.
+const redeemLicense = async (license, ip, buildClient) => {
+  const claimed = await License.claim(license._id);
+  if (!claimed) return null;
+
+  const client = buildClient(claimed);
+  try {
+    await client.save();
+  } catch (error) {
+    await License.release(license._id);
+    throw error;
+  }
+
+  await License.updateOne({ _id: license._id }, { $set: { usedBy: client._id } });
+  await recordRedemption(license, claimed, client, ip);
+  return client;
+};
+
+// Login throttle keys for a client auth attempt: the IP, the username when there is one, and
+// the whole app (alert only)
+const clientThrottleKeys = (app, ip, username) => {
+  const keys = [{ type: 'ip', value: ip }];
+  if (typeof username === 'string' && username) {
+    keys.push({ type: 'identity', value: `${app._id}:${username.toLowerCase()}` });
+  }
+  keys.push({ type: 'app', value: app._id.toString() });
+  return keys;
+};
+
+// Find the client behind self-service credentials, proven the same way it logs in;
+// resolves to { client } or { rejection }
+const identifyClient = async (app, { username, password, key }) => {
+  if (app.settings.authMode === 'license') {
+    const client = typeof key === 'string' && key ? await Client.findByLicenseKey(app._id, key) : null;
+    return client ? { client } : { rejection: { status: 401, messageKey: 'keyNotFound' } };
+  }
+
+  const client = typeof username === 'string' && username ? await Client.findOne({ app: app._id, username }) : null;
+  if (!client) {
+    return { rejection: { status: 401, messageKey: 'usernameNotFound' } };
+  }
+
+  if (typeof password !== 'string' || !password || !(await client.comparePassword(password))) {
+    return { rejection: { status: 401, messageKey: 'passMismatch' } };
+  }
+
+  return { client };
+};
+
+// Ban, expiry and HWID checks for a client logging in; takes a device seat when allowed
+const checkClientLogin = (app, client, hwid, deviceLabel) => {
+  // Check if client is banned
+  if (client.ban) {
+    return { status: 403, messageKey: 'userBanned' };
+  }
+
+  // Check if client is expired
+  if (client.isExpired) {
+    return { status: 403, messageKey: 'noActiveSubs' };
+  }
+
+  // Check if client's subscription is paused
+  if (client.isPaused) {
+    return { status: 403, messageKey: 'pausedSub' };
+  }
+
+  // Check HWID if HWID lock is enabled: known devices and free seats are accepted
+  if (app.settings.hwidLock) {
+    if (!client.useDevice(hwid, deviceLabel)) {
+      return { status: 403, messageKey: 'hwidMismatch' };
+    }
+  } else if (client.hwid !== hwid) {
+    // Update HWID if lock is disabled
+    client.hwid = hwid;
+  }
+
+  return null;
+};
+
+// Send a rejection from one of the check helpers
+const sendRejection = (res, app, rejection) => {
+  return res.status(rejection.status).json({
+    success: false,
+    message: getErrorMessage(app, rejection.messageKey)
+  });
+};
+
+// Record a ClientLoginEvent once the response for a client auth route has been sent.
+// Handlers set res.locals.auditApp / res.locals.auditClient as they resolve them;
+// requests that never get as far as a known app are not logged.
+const auditClientAuth = (type) => (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.auditBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const app = res.locals.auditApp;
+    if (!app) return;
+
+    const body = res.locals.auditBody || {};
+    const success = res.statusCode < 400 && body.success !== false;
+
+    ClientLoginEvent.create({
+      app: app._id,
+      client: res.locals.auditClient ? res.locals.auditClient._id : null,
+      username: req.body.username || req.body.key || null,
+      type,
+      success,
+      statusCode: res.statusCode,
+      failureReason: success ? null : (body.message || null),
+      ip: req.ip,
+      hwid: req.body.hwid || null,
+      appVersion: req.body.version || null,
+      userAgent: req.get('user-agent') || null
+    }).catch((error) => {
+      console.error('Failed to record client login event:', error.message);
+    });
+  });
+
+  next();
+};
+
+// Build a ClientLoginEvent query from the owner's filters
+const buildLoginEventQuery = (base, { type, success, ip, hwid, from, to }) => {
+  const query = { ...base };
+
+  if (type) {
+    query.type = type;
+  }
+  if (success !== undefined) {
+    query.success = success;
+  }
+  if (ip) {
+    query.ip = ip;
+  }
+  if (hwid) {
+    query.hwid = hwid;
+  }
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+// Send one page of ClientLoginEvents matching a query
+const sendLoginEvents = async (res, query, { page = 1, limit = 50 }) => {
+  const skip = (page - 1) * limit;
+
+  const [events, total] = await Promise.all([
+    ClientLoginEvent.find(query)
+      .populate('client', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ClientLoginEvent.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      events,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    }
+  });
+};
+
+// Log a key's redemption by a new client in the license history
+const recordRedemption = (license, claimed, client, ip) => {
+  const changes = LicenseChange.diff(license, { ...LicenseChange.snapshot(claimed), usedBy: client._id });
+  return LicenseChange.create(LicenseChange.entry(license, 'redeem', changes, { type: 'client', id: client._id, ip }));
+};
+
+// Resolve the app, session and client behind a session token
+const requireClientSession = asyncHandler(async (req, res, next) => {
+  const { sessionToken, appId, appSecret, hwid } = req.body;
+
+  const app = await App.findOne({ appId, appSecret });
+  if (!app) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid application credentials'
+    });
+  }
+
+  res.locals.auditApp = app;
+
+  // Check if app is paused
+  if (app.paused) {
+    return res.status(400).json({
+      success: false,
+      message: getErrorMessage(app, 'pausedApp')
+    });
+  }
+
+  const session = await Session.findByToken(sessionToken, app);
+
+  // Sessions are bound to the device they were issued to, so that device's HWID must come along
+  if (!session || (session.hwid && hwid !== session.hwid)) {
+    return res.status(401).json({
+      success: false,
+      message: getErrorMessage(app, 'sessionUnauthed')
+    });
+  }
+
+  const client = await Client.findOne({ _id: session.client, app: app._id });
+  res.locals.auditClient = client;
+  if (!client) {
+    await Session.deleteOne({ _id: session._id });
+    return res.status(401).json({
+      success: false,
+      message: getErrorMessage(app, 'sessionUnauthed')
+    });
+  }
+
+  // Check if the session's device has been blacklisted since login
+  if (await HwidBlacklist.isBlacklisted(app._id, session.hwid)) {
+    await Session.deleteOne({ _id: session._id });
+    return res.status(403).json({
+      success: false,
+      message: getErrorMessage(app, 'hwidBlacklisted')
+    });
+  }
+
+  // Check if client is banned
+  if (client.ban) {
+    await Session.deleteOne({ _id: session._id });
+    return res.status(403).json({
+      success: false,
+      message: getErrorMessage(app, 'userBanned')
+    });
+  }
+
+  // Check if client is expired
+  if (client.isExpired) {
+    await Session.deleteOne({ _id: session._id });
+    return res.status(403).json({
+      success: false,
+      message: getErrorMessage(app, 'noActiveSubs')
+    });
+  }
+
+  // Check if client's subscription is paused
+  if (client.isPaused) {
+    await Session.deleteOne({ _id: session._id });
+    return res.status(403).json({
+      success: false,
+      message: getErrorMessage(app, 'pausedSub')
+    });
+  }
+
+  req.clientApp = app;
+  req.clientSession = session;
+  req.sessionClient = client;
+  next();
+});
+
+// @desc    Register a new client
+// @route   POST /clients/register
+// @access  Public
+router.post('/register',
+  auditClientAuth('register'),
+  validateClientRegistration,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { username, password, licenseKey, hwid, deviceLabel, appId, appSecret } = req.body;
+
+    // Find app by appId and appSecret
+    const app = await App.findOne({ appId, appSecret });
+
+    if (!app) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid application credentials'
+      });
+    }
+
+    res.locals.auditApp = app;
+
+    const accessRejection = await checkAppAccess(app, req);
+    if (accessRejection) {
+      return sendRejection(res, app, accessRejection);
+    }
+
+    // Username accounts are disabled for license-key-only apps
+    if (app.settings.authMode === 'license') {
+      return res.status(400).json({
+        success: false,
+        message: 'This application uses license key login'
+      });
+    }
+
+    // Keys only redeem into the app they were created for
+    const license = await License.findOne({ key: licenseKey, app: app._id });
+
+    const licenseRejection = checkRedeemableLicense(license);
+    if (licenseRejection) {
+      return sendRejection(res, app, licenseRejection);
+    }
+
+    // Check username length
+    if (username.length < 3) {
+      return res.status(400).json({
+        success: false,
+        message: getErrorMessage(app, 'unTooShort')
+      });
+    }
+
+    // Check if username already exists for this app
+    const existingClient = await Client.findOne({ 
+      app: app._id, 
+      username 
+    });
+
+    if (existingClient) {
+      return res.status(400).json({
+        success: false,
+        message: getErrorMessage(app, 'usernameTaken')
+      });
+    }
+
+    // Consume the key atomically (so concurrent registrations can't both redeem it) and create the client
+    const client = await redeemLicense(license, req.ip, (claimed) => new Client({
+      username,
+      password,
+      hwid,
+      maxDevices: license.maxDevices || app.settings.defaultMaxDevices,
+      devices: [{ hwid, label: deviceLabel }],
+      app: app._id,
+      licenseKey,
+      expiresAt: claimed.expiresAt, // Relative licenses start counting on redemption
+      duration: license.duration,
+      lifetime: license.lifetime,
+      entitlements: license.entitlements
+    }).addSubscription(license, claimed.expiresAt));
+
+    if (!client) {
+      return res.status(400).json({
+        success: false,
+        message: getErrorMessage(app, 'keyUsed')
+      });
+    }
+
+    res.locals.auditClient = client;
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful',
+      data: {
+        client: client.toJSON(),
+        app: {
+          name: app.name,
+          version: app.version
+        }
+      }
+    });
+  })
+);
+
+// @desc    Client login
+// @route   POST /clients/login
+// @access  Public
+router.post('/login',
+  auditClientAuth('login'),
+  validateClientLogin,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { username, password, hwid, deviceLabel, appId, appSecret } = req.body;
+
+    // Find app by appId and appSecret
+    const app = await App.findOne({ appId, appSecret });
+
+    if (!app) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid application credentials'
+      });
+    }
+
+    res.locals.auditApp = app;
+
+    const accessRejection = await checkAppAccess(app, req);
+    if (accessRejection) {
+      return sendRejection(res, app, accessRejection);
+    }
+
+    // Username login is disabled for license-key-only apps
+    if (app.settings.authMode === 'license') {
+      return res.status(400).json({
+        success: false,
+        message: 'This application uses license key login'
+      });
+    }
+
+    // Throttle failed logins by IP and by username; failures across the whole app only raise an alert
+    const throttleKeys = clientThrottleKeys(app, req.ip, username);
+
+    const lockedUntil = await getLockout('client', throttleKeys);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
+
+    // Find client
+    const client = await Client.findOne({ 
+      app: app._id, 
+      username 
+    }).select('+password');
+    res.locals.auditClient = client;
+
+    if (!client) {
+      await recordFailure('client', throttleKeys, { app: app._id, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: getErrorMessage(app, 'usernameNotFound')
+      });
+    }
+
+    // Check password
+    const isPasswordCorrect = await client.comparePassword(password);
+    if (!isPasswordCorrect) {
+      await recordFailure('client', throttleKeys, { app: app._id, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: getErrorMessage(app, 'passMismatch')
+      });
+    }
+
+    await recordSuccess('client', throttleKeys);
+
+    // Account-sharing rules may ban the client or reset its HWID before the checks below
+    if (!client.ban) {
+      await evaluateSharing(app, client, { ip: req.ip, hwid });
+    }
+
+    const loginRejection = checkClientLogin(app, client, hwid, deviceLabel);
+    if (loginRejection) {
+      return sendRejection(res, app, loginRejection);
+    }
+
+    // Update login info
+    await client.updateLoginInfo();
+
+    // Issue a server-side session for this login
+    const session = await Session.issue({
+      client,
+      app,
+      hwid,
+      ip: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: getErrorMessage(app, 'loggedInMsg'),
+      data: {
+        client: client.toJSON(),
+        subscriptions: client.activeSubscriptions(app),
+        entitlements: app.resolveEntitlements(client.currentEntitlements()),
+        session: {
+          token: session.token,
+          expiresAt: session.expiresAt
+        },
+        app: {
+          name: app.name,
+          version: app.version
+        }
+      }
+    });
+  })
+);
+
+// @desc    Client login with a license key only
+// @route   POST /clients/license-login
+// @access  Public
+router.post('/license-login',
+  auditClientAuth('license-login'),
+  validateLicenseLogin,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { key, hwid, deviceLabel, appId, appSecret } = req.body;
+
+    // Find app by appId and appSecret
+    const app = await App.findOne({ appId, appSecret });
+
+    if (!app) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid application credentials'
+      });
+    }
+
+    res.locals.auditApp = app;
+
+    const accessRejection = await checkAppAccess(app, req);
+    if (accessRejection) {
+      return sendRejection(res, app, accessRejection);
+    }
+
+    if (app.settings.authMode !== 'license') {
+      return res.status(400).json({
+        success: false,
+        message: 'License key login is not enabled for this application'
+      });
+    }
+
+    // Throttle key guessing by IP; failures across the whole app only raise an alert
+    const throttleKeys = clientThrottleKeys(app, req.ip);
+
+    const lockedUntil = await getLockout('client', throttleKeys);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
+
+    const license = await License.findOne({ key, app: app._id });
+    if (!license) {
+      await recordFailure('client', throttleKeys, { app: app._id, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: getErrorMessage(app, 'keyNotFound')
+      });
+    }
+
+    // Check if license is banned or revoked; expiry is checked against its client below
+    if (license.status === 'BANNED' || license.status === 'REVOKED') {
+      return res.status(403).json({
+        success: false,
+        message: getErrorMessage(app, 'keyBanned')
+      });
+    }
+
+    let client = await Client.findByLicenseKey(app._id, key);
+
+    // First use: claim the key and create the client it logs in as, bound to this HWID
+    if (!client) {
+      if (license.isExpired || license.status === 'EXPIRED') {
+        return res.status(403).json({
+          success: false,
+          message: getErrorMessage(app, 'noActiveSubs')
+        });
+      }
+
+      client = await redeemLicense(license, req.ip, (claimed) => new Client({
+        username: key,
+        password: crypto.randomBytes(24).toString('hex'), // Never used: the key is the credential
+        hwid,
+        maxDevices: license.maxDevices || app.settings.defaultMaxDevices,
+        devices: [{ hwid, label: deviceLabel }],
+        app: app._id,
+        licenseKey: key,
+        expiresAt: claimed.expiresAt, // Relative licenses start counting on redemption
+        duration: license.duration,
+        lifetime: license.lifetime,
+        entitlements: license.entitlements
+      }).addSubscription(license, claimed.expiresAt));
+
+      if (!client) {
+        // Another request claimed the key first
+        client = await Client.findByLicenseKey(app._id, key);
+        if (!client) {
+          return res.status(409).json({
+            success: false,
+            message: getErrorMessage(app, 'keyUsed')
+          });
+        }
+      }
+    }
+
+    res.locals.auditClient = client;
+
+    // Account-sharing rules may ban the client or reset its HWID before the checks below
+    if (!client.ban) {
+      await evaluateSharing(app, client, { ip: req.ip, hwid });
+    }
+
+    const loginRejection = checkClientLogin(app, client, hwid, deviceLabel);
+    if (loginRejection) {
+      return sendRejection(res, app, loginRejection);
+    }
+
+    // Update login info
+    await client.updateLoginInfo();
+
+    // Issue a server-side session for this login
+    const session = await Session.issue({
+      client,
+      app,
+      hwid,
+      ip: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: getErrorMessage(app, 'loggedInMsg'),
+      data: {
+        client: client.toJSON(),
+        subscriptions: client.activeSubscriptions(app),
+        entitlements: app.resolveEntitlements(client.currentEntitlements()),
+        session: {
+          token: session.token,
+          expiresAt: session.expiresAt
+        },
+        app: {
+          name: app.name,
+          version: app.version
+        }
+      }
+    });
+  })
+);
+
+// @desc    Validate client session
+// @route   POST /clients/validate-session
+// @access  Public (requires session token)
+router.post('/validate-session',
+  auditClientAuth('validate-session'),
+  validateClientSession,
+  validate,
+  requireClientSession,
+  asyncHandler(async (req, res) => {
+    const { clientApp: app, clientSession: session, sessionClient: client } = req;
+
+    res.status(200).json({
+      success: true,
+      message: 'Session is valid',
+      data: {
+        client: client.toJSON(),
+        subscriptions: client.activeSubscriptions(app),
+        entitlements: app.resolveEntitlements(client.currentEntitlements()),
+        session: {
+          expiresAt: session.expiresAt,
+          lastHeartbeat: session.lastHeartbeat
+        },
+        app: {
+          name: app.name,
+          version: app.version
+        }
+      }
+    });
+  })
+);
+
+// @desc    Keep client session alive
+// @route   POST /clients/heartbeat
+// @access  Public (requires session token)
+router.post('/heartbeat',
+  validateClientSession,
+  validate,
+  requireClientSession,
+  asyncHandler(async (req, res) => {
+    const { clientApp: app, clientSession: session } = req;
+
+    // Slide the session expiry forward
+    await session.touch(app);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session refreshed',
+      data: {
+        session: {
+          expiresAt: session.expiresAt,
+          lastHeartbeat: session.lastHeartbeat
+        }
+      }
+    });
+  })
+);
+
+// @desc    Client logout
+// @route   POST /clients/logout
+// @access  Public (requires session token)
+router.post('/logout',
+  validateClientSession,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { sessionToken, appId, appSecret } = req.body;
+
+    const app = await App.findOne({ appId, appSecret });
+    if (!app) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid application credentials'
+      });
+    }
+
+    const session = await Session.findByToken(sessionToken, app);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: getErrorMessage(app, 'sessionUnauthed')
+      });
+    }
+
+    await Session.deleteOne({ _id: session._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  })
+);
+
+// @desc    List the client's device seats
+// @route   POST /clients/devices
+// @access  Public (requires session token)
+router.post('/devices',
+  validateClientSession,
+  validate,
+  requireClientSession,
+  asyncHandler(async (req, res) => {
+    const { sessionClient: client } = req;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        devices: client.devices,
+        maxDevices: client.maxDevices
+      }
+    });
+  })
+);
+
+// @desc    Release one of the client's device seats
+// @route   POST /clients/devices/release
+// @access  Public (requires session token)
+router.post('/devices/release',
+  validateClientSession,
+  validate,
+  requireClientSession,
+  asyncHandler(async (req, res) => {
+    const { releaseHwid } = req.body;
+    const { sessionClient: client } = req;
+
+    if (!releaseHwid) {
+      return res.status(400).json({
+        success: false,
+        message: 'releaseHwid is required'
+      });
+    }
+
+    if (!client.releaseDevice(releaseHwid)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    await client.save();
+
+    // Sessions on the released device end with it
+    await Session.deleteMany({ client: client._id, hwid: releaseHwid });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device released successfully',
+      data: {
+        devices: client.devices,
+        maxDevices: client.maxDevices
+      }
+    });
+  })
+);
+
+// @desc    Client redeems another license key, adding or stacking a subscription
+// @route   POST /clients/redeem
+// @access  Public (requires client credentials)
+router.post('/redeem',
+  validateSubscriptionRedeem,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { username, password, key, licenseKey, appId, appSecret } = req.body;
+
+    // Find app by appId and appSecret
+    const app = await App.findOne({ appId, appSecret });
+
+    if (!app) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid application credentials'
+      });
+    }
+
+    const accessRejection = await checkAppAccess(app, req);
+    if (accessRejection) {
+      return sendRejection(res, app, accessRejection);
+    }
+
+    // Clients prove who they are the same way they log in, under the same throttle; expired
+    // clients can redeem to renew
+    const throttleKeys = clientThrottleKeys(app, req.ip, app.settings.authMode === 'license' ? null : username);
+
+    const lockedUntil = await getLockout('client', throttleKeys);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
+
+    const { client, rejection } = await identifyClient(app, { username, password, key });
+    if (rejection) {
+      await recordFailure('client', throttleKeys, { app: app._id, ip: req.ip });
+      return sendRejection(res, app, rejection);
+    }
+
+    await recordSuccess('client', throttleKeys);
+
+    // Check if client is banned
+    if (client.ban) {
+      return res.status(403).json({
+        success: false,
+        message: getErrorMessage(app, 'userBanned')
+      });
+    }
+
+    // A paused client's subscriptions get the paused time back on resume, so new ones wait
+    if (client.isPaused) {
+      return res.status(403).json({
+        success: false,
+        message: getErrorMessage(app, 'pausedSub')
+      });
+    }
+
+    const license = await License.findOne({ key: licenseKey, app: app._id });
+
+    const licenseRejection = checkRedeemableLicense(license);
+    if (licenseRejection) {
+      return sendRejection(res, app, licenseRejection);
+    }
+
+    // Consume the key atomically (so concurrent redemptions can't both use it) and add the subscription
+    const redeemed = await redeemLicense(license, req.ip, (claimed) => client.addSubscription(license, claimed.expiresAt));
+    if (!redeemed) {
+      return res.status(400).json({
+        success: false,
+        message: getErrorMessage(app, 'keyUsed')
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'License key redeemed successfully',
+      data: {
+        subscriptions: client.activeSubscriptions(app),
+        entitlements: app.resolveEntitlements(client.currentEntitlements()),
+        expiresAt: client.expiresAt
+      }
+    });
+  })
+);
+
+// @desc    Client resets their own HWID
+// @route   POST /clients/reset-hwid
+// @access  Public (requires client credentials)
+router.post('/reset-hwid',
+  validateHwidSelfReset,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { username, password, key, appId, appSecret } = req.body;
+
+    // Find app by appId and appSecret
+    const app = await App.findOne({ appId, appSecret });
+
+    if (!app) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid application credentials'
+      });
+    }
+
+    const accessRejection = await checkAppAccess(app, req);
+    if (accessRejection) {
+      return sendRejection(res, app, accessRejection);
+    }
+
+    if (!app.settings.hwidSelfReset) {
+      return res.status(403).json({
+        success: false,
+        message: 'HWID self-reset is not enabled for this application'
+      });
+    }
+
+    // Clients prove who they are the same way they log in, under the same throttle
+    const throttleKeys = clientThrottleKeys(app, req.ip, app.settings.authMode === 'license' ? null : username);
+
+    const lockedUntil = await getLockout('client', throttleKeys);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
+
+    const { client, rejection } = await identifyClient(app, { username, password, key });
+    if (rejection) {
+      await recordFailure('client', throttleKeys, { app: app._id, ip: req.ip });
+      return sendRejection(res, app, rejection);
+    }
+
+    await recordSuccess('client', throttleKeys);
+
+    // Check if client is banned
+    if (client.ban) {
+      return res.status(403).json({
+        success: false,
+        message: getErrorMessage(app, 'userBanned')
+      });
+    }
+
+    // Check if client is expired
+    if (client.isExpired) {
+      return res.status(403).json({
+        success: false,
+        message: getErrorMessage(app, 'noActiveSubs')
+      });
+    }
+
+    // Enforce the cooldown since the client's last self-service reset
+    const lastReset = await HwidResetLog.findOne({ client: client._id, resetBy: 'client' })
+      .sort({ createdAt: -1 });
+
+    if (lastReset) {
+      const nextAllowed = new Date(lastReset.createdAt.getTime() + app.settings.hwidResetCooldown * 60 * 60 * 1000);
+      if (nextAllowed > new Date()) {
+        return res.status(429).json({
+          success: false,
+          message: `HWID can be reset again after ${nextAllowed.toISOString()}`
+        });
+      }
+    }
+
+    // Enforce the calendar-month quota
+    const now = new Date();
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const resetsThisMonth = await HwidResetLog.countDocuments({
+      client: client._id,
+      resetBy: 'client',
+      createdAt: { $gte: monthStart }
+    });
+
+    if (resetsThisMonth >= app.settings.hwidResetMonthlyQuota) {
+      return res.status(429).json({
+        success: false,
+        message: 'Monthly HWID reset limit reached'
+      });
+    }
+
+    await client.resetHwid({ resetBy: 'client', ip: req.ip });
+
+    res.status(200).json({
+      success: true,
+      message: 'HWID reset successfully, log in on your new device',
+      data: {
+        remainingResets: app.settings.hwidResetMonthlyQuota - resetsThisMonth - 1
+      }
+    });
+  })
+);
+
+// @desc    Get client info (for app developers to manage clients)
+// @route   GET /clients
+// @access  Private (requires app ownership)
+router.get('/',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { app: appId, page = 1, limit = 20, search } = req.query;
+    const userId = req.user._id;
+
+    if (!appId) {
+      return res.status(400).json({
+        success: false,
+        message: 'App ID is required'
+      });
+    }
+
+    // Check if user owns the app
+    const app = await App.findOne({ _id: appId, owner: userId });
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found or you are not the owner'
+      });
+    }
+
+    // Build query
+    const query = { app: appId };
+
+    // Add search if provided
+    if (search) {
+      query.username = { $regex: search, $options: 'i' };
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    // Get clients with pagination
+    const [clients, total] = await Promise.all([
+      Client.find(query)
+        .populate('app', 'name version') // Populate app details
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Client.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        clients,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  })
+);
+
+// @desc    Ban/Unban client
+// @route   PATCH /clients/:id/toggle-ban
+// @access  Private (requires app ownership)
+router.patch('/:id/toggle-ban',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const clientId = req.params.id;
+    const { blacklistHwid = false, reason } = req.body;
+    const userId = req.user._id;
+
+    // Find client and populate app
+    const client = await Client.findById(clientId)
+      .populate('app', 'owner name');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    // Check if user owns the app
+    if (client.app.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage this client'
+      });
+    }
+
+    // Toggle ban status
+    client.ban = !client.ban;
+    await client.save();
+
+    // Banned clients lose their open sessions
+    if (client.ban) {
+      await Session.deleteMany({ client: client._id });
+
+      // Optionally blacklist the device they were using
+      if (blacklistHwid && client.hwid) {
+        await HwidBlacklist.findOneAndUpdate(
+          { app: client.app._id, hwid: client.hwid },
+          { reason: reason || `Banned client ${client.username}`, client: client._id, expiresAt: null },
+          { upsert: true, setDefaultsOnInsert: true }
+        );
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Client ${client.ban ? 'banned' : 'unbanned'} successfully`,
+      data: {
+        client: client.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Extend client subscription
+// @route   PATCH /clients/:id/extend
+// @access  Private (requires app ownership)
+router.patch('/:id/extend',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const clientId = req.params.id;
+    const { days, subscription } = req.body;
+    const userId = req.user._id;
+
+    if (!days || days < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days must be a positive number'
+      });
+    }
+
+    // Find client and populate app
+    const client = await Client.findById(clientId)
+      .populate('app', 'owner name');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    // Check if user owns the app
+    if (client.app.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage this client'
+      });
+    }
+
+    // Only a subscription the client holds can be extended on its own
+    if (subscription !== undefined && !client.subscriptions.some(entry => entry.name === subscription)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client does not hold this subscription'
+      });
+    }
+
+    // Extend subscription
+    await client.extendExpiry(days, subscription);
+
+    res.status(200).json({
+      success: true,
+      message: `Client subscription extended by ${days} days`,
+      data: {
+        client: client.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Pause client subscription
+// @route   PATCH /clients/:id/pause
+// @access  Private (requires app ownership)
+router.patch('/:id/pause',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const clientId = req.params.id;
+    const userId = req.user._id;
+
+    // Find client and populate app
+    const client = await Client.findById(clientId)
+      .populate('app', 'owner name');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    // Check if user owns the app
+    if (client.app.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage this client'
+      });
+    }
+
+    if (client.isPaused) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client subscription is already paused'
+      });
+    }
+
+    if (client.isExpired) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot pause an expired subscription'
+      });
+    }
+
+    await client.pause();
+
+    res.status(200).json({
+      success: true,
+      message: 'Client subscription paused successfully',
+      data: {
+        client: client.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Resume client subscription
+// @route   PATCH /clients/:id/resume
+// @access  Private (requires app ownership)
+router.patch('/:id/resume',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const clientId = req.params.id;
+    const userId = req.user._id;
+
+    // Find client and populate app
+    const client = await Client.findById(clientId)
+      .populate('app', 'owner name');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    // Check if user owns the app
+    if (client.app.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage this client'
+      });
+    }
+
+    if (!client.isPaused) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client subscription is not paused'
+      });
+    }
+
+    await client.resume();
+
+    res.status(200).json({
+      success: true,
+      message: 'Client subscription resumed successfully',
+      data: {
+        client: client.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Reset client HWID
+// @route   PATCH /clients/:id/reset-hwid
+// @access  Private (requires app ownership)
+router.patch('/:id/reset-hwid',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const clientId = req.params.id;
+    const userId = req.user._id;
+
+    // Find client and populate app
+    const client = await Client.findById(clientId)
+      .populate('app', 'owner name');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    // Check if user owns the app
+    if (client.app.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage this client'
+      });
+    }
+
+    // Reset HWID to null, freeing every device seat
+    await client.resetHwid({ resetBy: 'owner', actor: userId, ip: req.ip });
+
+    res.status(200).json({
+      success: true,
+      message: 'Client HWID reset successfully',
+      data: {
+        client: client.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Get login history for all clients of an app
+// @route   GET /clients/logins
+// @access  Private (requires app ownership)
+router.get('/logins',
+  require('../middleware/auth').authenticateToken,
+  validateLoginEventQuery,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { app: appId } = req.query;
+    const userId = req.user._id;
+
+    if (!appId) {
+      return res.status(400).json({
+        success: false,
+        message: 'App ID is required'
+      });
+    }
+
+    // Check if user owns the app
+    const app = await App.findOne({ _id: appId, owner: userId });
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found or you are not the owner'
+      });
+    }
+
+    const query = buildLoginEventQuery({ app: app._id }, req.query);
+    await sendLoginEvents(res, query, req.query);
+  })
+);
+
+// @desc    Get client login history
+// @route   GET /clients/:id/logins
+// @access  Private (requires app ownership)
+router.get('/:id/logins',
+  require('../middleware/auth').authenticateToken,
+  validateLoginEventQuery,
+  validate,
+  asyncHandler(async (req, res) => {
+    const clientId = req.params.id;
+    const userId = req.user._id;
+
+    // Find client and populate app
+    const client = await Client.findById(clientId)
+      .populate('app', 'owner name');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    // Check if user owns the app
+    if (client.app.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage this client'
+      });
+    }
+
+    const query = buildLoginEventQuery({ client: client._id }, req.query);
+    await sendLoginEvents(res, query, req.query);
+  })
+);
+
+// @desc    Get account-sharing flags for an app
+// @route   GET /clients/flags
+// @access  Private (requires app ownership)
+router.get('/flags',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { app: appId, client: clientId, rule, resolved, page = 1, limit = 50 } = req.query;
+    const userId = req.user._id;
+
+    if (!appId) {
+      return res.status(400).json({
+        success: false,
+        message: 'App ID is required'
+      });
+    }
+
+    // Check if user owns the app
+    const app = await App.findOne({ _id: appId, owner: userId });
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found or you are not the owner'
+      });
+    }
+
+    // Build query
+    const query = { app: app._id };
+    if (clientId) {
+      query.client = clientId;
+    }
+    if (rule) {
+      query.rule = rule;
+    }
+    if (resolved !== undefined) {
+      query.resolved = resolved === 'true';
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const [flags, total] = await Promise.all([
+      SharingFlag.find(query)
+        .populate('client', 'username ban flagged')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      SharingFlag.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        flags,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  })
+);
+
+// @desc    Resolve an account-sharing flag
+// @route   PATCH /clients/flags/:flagId/resolve
+// @access  Private (requires app ownership)
+router.patch('/flags/:flagId/resolve',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    // Find flag and populate app
+    const flag = await SharingFlag.findById(req.params.flagId)
+      .populate('app', 'owner');
+
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flag not found'
+      });
+    }
+
+    // Check if user owns the app
+    if (flag.app.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage this client'
+      });
+    }
+
+    if (!flag.resolved) {
+      flag.resolved = true;
+      flag.resolvedAt = new Date();
+      flag.resolvedBy = userId;
+      await flag.save();
+    }
+
+    // The client stays flagged while any other flag is open; a ban applied by a rule is kept
+    const openFlags = await SharingFlag.countDocuments({ client: flag.client, resolved: false });
+    if (openFlags === 0) {
+      await Client.updateOne({ _id: flag.client }, { $set: { flagged: false } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Flag resolved successfully',
+      data: {
+        flag
+      }
+    });
+  })
+);
+
+// @desc    Get client HWID reset history
+// @route   GET /clients/:id/hwid-resets
+// @access  Private (requires app ownership)
+router.get('/:id/hwid-resets',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const clientId = req.params.id;
+    const userId = req.user._id;
+
+    // Find client and populate app
+    const client = await Client.findById(clientId)
+      .populate('app', 'owner name');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    // Check if user owns the app
+    if (client.app.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage this client'
+      });
+    }
+
+    const resets = await HwidResetLog.find({ client: client._id })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        resets
+      }
+    });
+  })
+);
+
+// @desc    Release a client's device seat
+// @route   DELETE /clients/:id/devices/:hwid
+// @access  Private (requires app ownership)
+router.delete('/:id/devices/:hwid',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { id: clientId, hwid } = req.params;
+    const userId = req.user._id;
+
+    // Find client and populate app
+    const client = await Client.findById(clientId)
+      .populate('app', 'owner name');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    // Check if user owns the app
+    if (client.app.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage this client'
+      });
+    }
+
+    if (!client.releaseDevice(hwid)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    await client.save();
+
+    // Sessions on the released device end with it
+    await Session.deleteMany({ client: client._id, hwid });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device released successfully',
+      data: {
+        client: client.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Delete client
+// @route   DELETE /clients/:id
+// @access  Private (requires app ownership)
+router.delete('/:id',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const clientId = req.params.id;
+    const userId = req.user._id;
+
+    // Find client and populate app and license
+    const client = await Client.findById(clientId)
+      .populate('app', 'owner name');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    // Check if user owns the app
+    if (client.app.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this client'
+      });
+    }
+
+    // Find and free up the licenses that were redeemed by this client
+    const licenses = await License.find({ app: client.app._id, key: { $in: Client.redeemedKeys(client) } });
+    for (const license of licenses) {
+      license.used = false;
+      license.usedBy = undefined;
+      await license.trackAs('release', { type: 'owner', id: userId, ip: req.ip }).save();
+    }
+
+    // Delete its sessions and sharing flags, and move the client to the trash
+    const batch = TrashItem.newBatch();
+    await Session.deleteMany({ client: clientId });
+    await SharingFlag.deleteMany({ client: clientId });
+    await TrashItem.moveToTrash('client', { _id: client._id }, { owner: userId, deletedBy: userId, batch });
+
+    res.status(200).json({
+      success: true,
+      message: 'Client moved to trash and license has been freed',
+      data: {
+        batch
+      }
+    });
+  })
+);
+
+// @desc    Create end user directly (owner only, no license key required)
+// @route   POST /clients/create-direct
+// @access  Private (Owner only)
+router.post('/create-direct',
+  require('../middleware/auth').authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { username, password, appId, hwid = null, expiresAt } = req.body;
+    const userId = req.user._id;
+
+    // Validate required fields
+    if (!username || !password || !appId || !expiresAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username, password, appId, and expiresAt are required'
+      });
+    }
+
+    // Find app and verify ownership
+    const app = await App.findOne({ _id: appId, owner: userId });
+    
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found or you are not the owner'
+      });
+    }
+
+    // Check if app is paused
+    if (app.paused) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot create users for paused applications'
+      });
+    }
+
+    // Validate username length
+    if (username.length < 3) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username must be at least 3 characters long'
+      });
+    }
+
+    // Validate password length
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    // Check if username already exists for this app
+    const existingClient = await Client.findOne({ 
+      app: app._id, 
+      username 
+    });
+
+    if (existingClient) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username already exists for this application'
+      });
+    }
+
+    // Validate expiration date
+    const expireDate = new Date(expiresAt);
+    if (isNaN(expireDate.getTime()) || expireDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expiration date. Must be a future date.'
+      });
+    }
+
+    // Create client without license key (direct creation)
+    const client = await Client.create({
+      username,
+      password,
+      hwid: hwid || null, // Use provided HWID or null
+      app: app._id,
+      licenseKey: '', // Empty license key for direct creation
+      expiresAt: expireDate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'End user created successfully',
+      data: {
+        client: client.toJSON(),
+        app: {
+          name: app.name,
+          version: app.version
+        }
+      }
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
@@ -1,498 +1,1366 @@
-const express = require('express');
-const License = require('../models/License');
-const App = require('../models/App');
-const Reseller = require('../models/Reseller');
-const Client = require('../models/Client');
-const { authenticateToken } = require('../middleware/auth');
-const { validateLicenseCreation, validateLicenseUpdate, validate } = require('../middleware/validation');
-const { asyncHandler } = require('../middleware/errorHandler');
-
-const router = express.Router();
-
-// @desc    Create a new license
-// @route   POST /licenses
-// @access  Private
-router.post('/',
-  authenticateToken,
-  validateLicenseCreation,
-  validate,
-  asyncHandler(async (req, res) => {
-    const { app: appId, key, expiresAt, note, resellerId } = req.body;
-    const userId = req.user._id;
-
-    // Check if app exists and user has access
-    const app = await App.findOne({ _id: appId });
-    if (!app) {
-      return res.status(404).json({
-        success: false,
-        message: 'App not found'
-      });
-    }
-
-    let createdByType = 'owner';
-    let reseller = null;
-
-    // Check if user is owner or reseller
-    if (app.owner.toString() === userId.toString()) {
-      createdByType = 'owner';
-    } else {
-      // Check if user is a reseller for this app
-      reseller = await Reseller.findOne({ 
-        user: userId, 
-        app: appId, 
-        active: true 
-      });
-      
-      if (!reseller) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to create licenses for this app'
-        });
-      }
-
-      if (!reseller.hasPermission('create')) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to create licenses'
-        });
-      }
-
-      if (!reseller.canCreateLicense()) {
-        return res.status(403).json({
-          success: false,
-          message: 'You have reached your license creation limit'
-        });
-      }
-
-      createdByType = 'reseller';
-    }
-
-    // Check app license limits for owner
-    if (createdByType === 'owner' && !(await app.canCreateLicense(userId))) {
-      return res.status(403).json({
-        success: false,
-        message: `App has reached the maximum limit of ${req.user.maxLicensesPerApp} licenses for your plan`
-      });
-    }
-
-    // Validate custom license key if provided
-    if (key) {
-      if (!app.settings.allowCustomLicenseKey) {
-        return res.status(400).json({
-          success: false,
-          message: 'Custom license keys are not allowed for this app'
-        });
-      }
-
-      // Check if key already exists
-      const existingLicense = await License.findOne({ key });
-      if (existingLicense) {
-        return res.status(400).json({
-          success: false,
-          message: 'License key already exists'
-        });
-      }
-    }
-
-    // Create license
-    const licenseData = {
-      app: appId,
-      createdByUser: userId,
-      createdByType,
-      expiresAt,
-      note
-    };
-
-    if (key) licenseData.key = key;
-    if (reseller) licenseData.reseller = reseller._id;
-
-    const license = await License.create(licenseData);
-
-    // Update reseller usage if created by reseller
-    if (reseller) {
-      await reseller.incrementUsedLicenses();
-    }
-
-    await license.populate('app createdByUser reseller');
-
-    res.status(201).json({
-      success: true,
-      message: 'License created successfully',
-      data: {
-        license: license.toJSON()
-      }
-    });
-  })
-);
-
-// @desc    Get licenses
-// @route   GET /licenses
-// @access  Private
-router.get('/',
-  authenticateToken,
-  asyncHandler(async (req, res) => {
-    const { app: appId, status, page = 1, limit = 1000 } = req.query;
-    const userId = req.user._id;
-
-    // Build query
-    const query = {};
-    
-    // Filter by app if specified
-    if (appId) {
-      // Check if user has access to this app
-      const app = await App.findById(appId);
-      if (!app) {
-        return res.status(404).json({
-          success: false,
-          message: 'App not found'
-        });
-      }
-
-      // Check if user is owner or reseller
-      if (app.owner.toString() !== userId.toString()) {
-        const reseller = await Reseller.findOne({ 
-          user: userId, 
-          app: appId, 
-          active: true 
-        });
-        
-        if (!reseller) {
-          return res.status(403).json({
-            success: false,
-            message: 'You do not have access to this app'
-          });
-        }
-        
-        // Reseller can only see their own licenses
-        query.reseller = reseller._id;
-      }
-
-      query.app = appId;
-    } else {
-      // Get all licenses for user's apps and reseller licenses
-      const userApps = await App.find({ owner: userId }).select('_id');
-      const resellerApps = await Reseller.find({ user: userId, active: true }).select('app');
-      
-      const appIds = [
-        ...userApps.map(app => app._id),
-        ...resellerApps.map(r => r.app)
-      ];
-
-      query.$or = [
-        { app: { $in: appIds } },
-        { createdByUser: userId }
-      ];
-    }
-
-    // Filter by status if specified
-    if (status) {
-      query.status = status;
-    }
-
-    // Calculate pagination
-    const skip = (page - 1) * limit;
-
-    // Get licenses with pagination
-    const [licenses, total] = await Promise.all([
-      License.find(query)
-        .populate('app', 'name appId')
-        .populate('createdByUser', 'name email')
-        .populate('reseller')
-        .populate('usedBy', 'username')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      License.countDocuments(query)
-    ]);
-
-    res.status(200).json({
-      success: true,
-      data: {
-        licenses,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total,
-          limit: parseInt(limit)
-        }
-      }
-    });
-  })
-);
-
-// @desc    Get single license
-// @route   GET /licenses/:id
-// @access  Private
-router.get('/:id',
-  authenticateToken,
-  asyncHandler(async (req, res) => {
-    const license = await License.findById(req.params.id)
-      .populate('app', 'name appId owner')
-      .populate('createdByUser', 'name email')
-      .populate('reseller')
-      .populate('usedBy', 'username hwid');
-
-    if (!license) {
-      return res.status(404).json({
-        success: false,
-        message: 'License not found'
-      });
-    }
-
-    // Check permissions
-    const userId = req.user._id;
-    const isOwner = license.app.owner.toString() === userId.toString();
-    const isCreator = license.createdByUser._id.toString() === userId.toString();
-
-    if (!isOwner && !isCreator) {
-      // Check if user is reseller for this app
-      const reseller = await Reseller.findOne({ 
-        user: userId, 
-        app: license.app._id, 
-        active: true 
-      });
-      
-      if (!reseller) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have access to this license'
-        });
-      }
-    }
-
-    res.status(200).json({
-      success: true,
-      data: {
-        license: license.toJSON()
-      }
-    });
-  })
-);
-
-// @desc    Update license
-// @route   PUT /licenses/:id
-// @access  Private
-router.put('/:id',
-  authenticateToken,
-  validateLicenseUpdate,
-  validate,
-  asyncHandler(async (req, res) => {
-    const { status, expiresAt, note } = req.body;
-    const userId = req.user._id;
-
-    const license = await License.findById(req.params.id)
-      .populate('app', 'owner')
-      .populate('reseller');
-
-    if (!license) {
-      return res.status(404).json({
-        success: false,
-        message: 'License not found'
-      });
-    }
-
-    // Check permissions
-    const isOwner = license.app.owner.toString() === userId.toString();
-    let reseller = null;
-
-    if (!isOwner) {
-      reseller = await Reseller.findOne({ 
-        user: userId, 
-        app: license.app._id, 
-        active: true 
-      });
-      
-      if (!reseller) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to update this license'
-        });
-      }
-
-      // Check reseller permissions
-      if (status && !reseller.hasPermission('banUnban')) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to change license status'
-        });
-      }
-
-      if (expiresAt && !reseller.hasPermission('editExpiry')) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to edit license expiry'
-        });
-      }
-    }
-
-    // Update fields
-    if (status !== undefined) license.status = status;
-    if (expiresAt !== undefined) license.expiresAt = expiresAt;
-    if (note !== undefined) license.note = note;
-
-    await license.save();
-    await license.populate('app createdByUser reseller usedBy');
-
-    res.status(200).json({
-      success: true,
-      message: 'License updated successfully',
-      data: {
-        license: license.toJSON()
-      }
-    });
-  })
-);
-
-// @desc    Delete license
-// @route   DELETE /licenses/:id
-// @access  Private
-router.delete('/:id',
-  authenticateToken,
-  asyncHandler(async (req, res) => {
-    const userId = req.user._id;
-
-    const license = await License.findById(req.params.id)
-      .populate('app', 'owner')
-      .populate('reseller');
-
-    if (!license) {
-      return res.status(404).json({
-        success: false,
-        message: 'License not found'
-      });
-    }
-
-    // Check permissions - only owners can delete
-    const isOwner = license.app.owner.toString() === userId.toString();
-
-    if (!isOwner) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only app owners can delete licenses'
-      });
-    }
-
-    // Update reseller usage if license was created by reseller
-    if (license.reseller) {
-      await Reseller.findByIdAndUpdate(license.reseller._id, {
-        $inc: { usedLicenses: -1 }
-      });
-    }
-
-    await License.findByIdAndDelete(req.params.id);
-
-    res.status(200).json({
-      success: true,
-      message: 'License deleted successfully'
-    });
-  })
-);
-
-// @desc    Toggle license ban status
-// @route   PATCH /licenses/:id/toggle-ban
-// @access  Private
-router.patch('/:id/toggle-ban',
-  authenticateToken,
-  asyncHandler(async (req, res) => {
-    const userId = req.user._id;
-
-    const license = await License.findById(req.params.id)
-      .populate('app', 'owner');
-
-    if (!license) {
-      return res.status(404).json({
-        success: false,
-        message: 'License not found'
-      });
-    }
-
-    // Check permissions
-    const isOwner = license.app.owner.toString() === userId.toString();
-
-    if (!isOwner) {
-      const reseller = await Reseller.findOne({ 
-        user: userId, 
-        app: license.app._id, 
-        active: true 
-      });
-      
-      if (!reseller || !reseller.hasPermission('banUnban')) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to ban/unban licenses'
-        });
-      }
-    }
-
-    await license.toggleBan();
-    await license.populate('app createdByUser reseller usedBy');
-
-    res.status(200).json({
-      success: true,
-      message: `License ${license.status === 'BANNED' ? 'banned' : 'unbanned'} successfully`,
-      data: {
-        license: license.toJSON()
-      }
-    });
-  })
-);
-
-// @desc    Delete all licenses for user's apps
-// @route   DELETE /licenses
-// @access  Private
-router.delete('/',
-  authenticateToken,
-  asyncHandler(async (req, res) => {
-    const userId = req.user._id;
-    const { app: appId } = req.query;
-
-    let query = {};
-
-    if (appId) {
-      // Check if user owns the specific app
-      const app = await App.findOne({ _id: appId, owner: userId });
-      if (!app) {
-        return res.status(404).json({
-          success: false,
-          message: 'App not found or you are not the owner'
-        });
-      }
-      query.app = appId;
-    } else {
-      // Get all apps owned by the user
-      const userApps = await App.find({ owner: userId }).select('_id');
-      query.app = { $in: userApps.map(app => app._id) };
-    }
-
-    // Only delete licenses from apps owned by the user (not reseller licenses)
-    query.createdByType = 'owner';
-
-    // Count licenses before deletion
-    const licenseCount = await License.countDocuments(query);
-
-    // Find licenses that are being used by clients and free them up
-    const usedLicenses = await License.find({ ...query, used: true });
-    
-    // Update reseller usage for licenses created by resellers
-    for (const license of usedLicenses) {
-      if (license.reseller) {
-        await Reseller.findByIdAndUpdate(license.reseller, {
-          $inc: { usedLicenses: -1 }
-        });
-      }
-    }
-
-    // Delete all matching licenses
-    await License.deleteMany(query);
-
-    res.status(200).json({
-      success: true,
-      message: `Successfully deleted ${licenseCount} license(s)`,
-      data: {
-        deletedCount: licenseCount
-      }
-    });
-  })
-);
-
+const express = require('express');
+const License = require('../models/License');
+const App = require('../models/App');
+const Reseller = require('../models/Reseller');
+const Client = require('../models/Client');
+const LicenseChange = require('../models/LicenseChange');
+const TrashItem = require('../models/TrashItem');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validateLicenseCreation,
+  validateBulkLicenseCreation,
+  validateLicenseImport,
+  validateLicenseSearch,
+  validateBulkLicenseAction,
+  validateLicenseUpdate,
+  validate
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { toCsvRow, unescapeCsvValue, parseCsv } = require('../utils/csv');
+const { encodeCursor, decodeCursor, seekCondition } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Most clients a redeemed-by search may match; broader searches are asked to narrow down
+const MAX_REDEEMED_BY_CLIENTS = 1000;
+
+// Escape user text for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build the license query behind GET /licenses and its export from the search filters,
+// limited to licenses the user may see. Resolves to { query } or { error }.
+const buildLicenseQuery = async (userId, filters) => {
+  const { app: appId, status, reseller: resellerId } = filters;
+  const query = {};
+  
+  // Filter by app if specified
+  if (appId) {
+    // Check if user has access to this app
+    const app = await App.findById(appId);
+    if (!app) {
+      return { error: { status: 404, message: 'App not found' } };
+    }
+
+    // Check if user is owner or reseller
+    if (app.owner.toString() !== userId.toString()) {
+      const reseller = await Reseller.findOne({ 
+        user: userId, 
+        app: appId, 
+        active: true 
+      });
+      
+      if (!reseller) {
+        return { error: { status: 403, message: 'You do not have access to this app' } };
+      }
+      
+      // Reseller can only see their own licenses
+      query.reseller = reseller._id;
+    }
+
+    query.app = appId;
+  } else {
+    // Get all licenses for user's apps and reseller licenses
+    const userApps = await App.find({ owner: userId }).select('_id');
+    const resellerApps = await Reseller.find({ user: userId, active: true }).select('app');
+    
+    const appIds = [
+      ...userApps.map(app => app._id),
+      ...resellerApps.map(r => r.app)
+    ];
+
+    query.$or = [
+      { app: { $in: appIds } },
+      { createdByUser: userId }
+    ];
+  }
+
+  // Filter by reseller if specified (resellers are already limited to their own)
+  if (resellerId && !query.reseller) {
+    query.reseller = resellerId;
+  }
+
+  // Filter by status if specified
+  if (status) {
+    query.status = status;
+  }
+
+  const conditions = [];
+
+  // Key prefix (anchored, so it can use the key index) and substring filters
+  if (filters.keyPrefix) {
+    conditions.push({ key: { $regex: `^${escapeRegex(filters.keyPrefix)}` } });
+  }
+  if (filters.keyContains) {
+    conditions.push({ key: { $regex: escapeRegex(filters.keyContains), $options: 'i' } });
+  }
+  if (filters.note) {
+    conditions.push({ note: { $regex: escapeRegex(filters.note), $options: 'i' } });
+  }
+
+  if (filters.used !== undefined) {
+    query.used = filters.used === true || filters.used === 'true';
+  }
+  if (filters.createdByType) {
+    query.createdByType = filters.createdByType;
+  }
+
+  // Created and expiry date ranges
+  for (const [field, from, to] of [
+    ['createdAt', filters.createdFrom, filters.createdTo],
+    ['expiresAt', filters.expiresFrom, filters.expiresTo]
+  ]) {
+    if (from || to) {
+      const range = {};
+      if (from) range.$gte = new Date(from);
+      if (to) range.$lte = new Date(to);
+      conditions.push({ [field]: range });
+    }
+  }
+
+  // Redeemed-by username: match clients first, then their licenses
+  if (filters.redeemedBy) {
+    const clients = await Client.find({
+      ...(query.app ? { app: query.app } : {}),
+      username: { $regex: escapeRegex(filters.redeemedBy), $options: 'i' }
+    }).select('_id').limit(MAX_REDEEMED_BY_CLIENTS + 1);
+
+    if (clients.length > MAX_REDEEMED_BY_CLIENTS) {
+      return {
+        error: {
+          status: 400,
+          message: `Redeemed-by matches more than ${MAX_REDEEMED_BY_CLIENTS} clients, narrow the search or filter by app`
+        }
+      };
+    }
+
+    conditions.push({ usedBy: { $in: clients.map(client => client._id) } });
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  return { query };
+};
+
+// Who is changing a license, for its history: the reseller when acting as one, otherwise the owner
+const licenseActor = (req, reseller) => (
+  reseller
+    ? { type: 'reseller', id: reseller._id, ip: req.ip }
+    : { type: 'owner', id: req.user._id, ip: req.ip }
+);
+
+// Most licenses one bulk action may touch
+const MAX_BULK_ACTION_ITEMS = 10000;
+
+// Reseller permission each bulk action needs, matching the single-license routes
+const BULK_ACTION_PERMISSIONS = {
+  ban: 'banUnban',
+  unban: 'banUnban',
+  revoke: 'banUnban',
+  extend: 'editExpiry',
+  setNote: 'any', // PUT /licenses/:id lets any reseller edit notes
+  delete: 'owner' // DELETE /licenses/:id is owner only
+};
+
+// Why a bulk action can't apply to a license in its current state, or null if it can
+const getBulkActionConflict = (action, license) => {
+  switch (action) {
+    case 'ban':
+      if (license.status === 'BANNED') return 'License is already banned';
+      if (license.status === 'REVOKED') return 'License is revoked';
+      return null;
+    case 'unban':
+      return license.status === 'BANNED' ? null : 'License is not banned';
+    case 'revoke':
+      return license.status === 'REVOKED' ? 'License is already revoked' : null;
+    case 'extend':
+      return license.lifetime ? 'Lifetime licenses cannot be extended' : null;
+    default:
+      return null;
+  }
+};
+
+// What a bulk action makes of a license's tracked fields, for its history
+const bulkActionResult = (action, license, { days, note }) => {
+  switch (action) {
+    case 'ban':
+      return { status: 'BANNED' };
+    case 'unban':
+      return { status: 'ACTIVE' };
+    case 'revoke':
+      return { status: 'REVOKED' };
+    case 'setNote':
+      return { note };
+    case 'extend':
+      return license.expiresAt
+        ? { expiresAt: new Date(license.expiresAt.getTime() + days * 24 * 60 * 60 * 1000) }
+        : { duration: license.duration + days };
+    default:
+      return {};
+  }
+};
+
+// Apply a bulk action to licenses that passed the permission and state checks;
+// actors maps each license ID to who acted on it, for the history
+const applyBulkAction = async (action, licenses, { days, note, actors, userId }) => {
+  const ids = licenses.map(license => license._id);
+
+  switch (action) {
+    case 'ban':
+      await License.updateMany({ _id: { $in: ids } }, { $set: { status: 'BANNED' } });
+      break;
+    case 'unban':
+      await License.updateMany({ _id: { $in: ids } }, { $set: { status: 'ACTIVE' } });
+      break;
+    case 'revoke':
+      await License.updateMany({ _id: { $in: ids } }, { $set: { status: 'REVOKED' } });
+      break;
+    case 'setNote':
+      await License.updateMany({ _id: { $in: ids } }, { $set: { note } });
+      break;
+    case 'extend': {
+      const ms = days * 24 * 60 * 60 * 1000;
+      const unredeemedRelative = { $eq: [{ $ifNull: ['$expiresAt', null] }, null] };
+
+      // Fixed expiries move out; unredeemed duration licenses get a longer duration
+      await License.updateMany({ _id: { $in: ids } }, [{
+        $set: {
+          expiresAt: { $cond: [unredeemedRelative, null, { $add: ['$expiresAt', ms] }] },
+          duration: { $cond: [unredeemedRelative, { $add: ['$duration', days] }, '$duration'] }
+        }
+      }]);
+
+      // A redeemed license's time is kept on its client, in the subscriptions it was redeemed into
+      const redeemed = licenses.filter(license => license.usedBy);
+      const keys = redeemed.map(license => license.key);
+      await Client.updateMany(
+        { _id: { $in: redeemed.map(license => license.usedBy) } },
+        Client.shiftExpiryStages({ $gt: [{ $size: { $setIntersection: ['$$subscription.licenseKeys', keys] } }, 0] }, ms)
+      );
+      break;
+    }
+    case 'delete':
+      // Only owners can delete, so the trash belongs to the user; reseller quota is handed back
+      await TrashItem.moveToTrash('license', { _id: { $in: ids } }, {
+        owner: userId,
+        deletedBy: userId,
+        batch: TrashItem.newBatch()
+      });
+      break;
+  }
+
+  const historyAction = action === 'setNote' ? 'update' : action;
+  const entries = licenses
+    .map(license => {
+      const before = LicenseChange.snapshot(license);
+      const changes = LicenseChange.diff(before, { ...before, ...bulkActionResult(action, license, { days, note }) });
+      return LicenseChange.entry(license, historyAction, changes, actors.get(license._id.toString()));
+    })
+    .filter(entry => entry.changes.length > 0 || action === 'delete');
+
+  await LicenseChange.record(entries);
+};
+
+// Columns written by the CSV/JSON export; the import reads the same names
+const EXPORT_FIELDS = ['key', 'status', 'used', 'expiresAt', 'duration', 'lifetime', 'maxDevices', 'note', 'reseller', 'createdAt'];
+
+// Most licenses accepted by one import call
+const MAX_IMPORT_ROWS = 10000;
+
+// Turn an import payload into raw rows: objects for json/csv, key strings for txt
+const parseImportData = (format, data) => {
+  if (format === 'json') {
+    return data;
+  }
+
+  if (format === 'txt') {
+    return data.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  }
+
+  // CSV: the first row names the columns; values exported as '-KEY come back as -KEY
+  const [header = [], ...lines] = parseCsv(data);
+  const columns = header.map(column => column.trim());
+  return lines.map(values => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = values[index] !== undefined ? unescapeCsvValue(values[index].trim()) : undefined;
+    });
+    return row;
+  });
+};
+
+// Validate one import row against the body defaults; returns { license } or { reason }
+const toImportedLicense = (raw, defaults) => {
+  const row = typeof raw === 'string' ? { key: raw } : (raw || {});
+  const present = (value) => value !== undefined && value !== null && value !== '';
+
+  const key = typeof row.key === 'string' ? row.key.trim() : '';
+  if (key.length < 8 || key.length > 50) {
+    return { reason: 'Key must be between 8 and 50 characters' };
+  }
+
+  // A row's own expiry wins over the defaults: a fixed date, then a duration, then lifetime
+  const hasOwnExpiry = present(row.expiresAt) || present(row.duration) || row.lifetime === true || row.lifetime === 'true';
+  const source = hasOwnExpiry ? row : defaults;
+  const license = { key, note: present(row.note) ? String(row.note) : defaults.note };
+
+  if (present(source.expiresAt)) {
+    const expiresAt = new Date(source.expiresAt);
+    if (isNaN(expiresAt.getTime())) {
+      return { reason: 'Invalid expiration date' };
+    }
+    license.expiresAt = expiresAt;
+  } else if (present(source.duration)) {
+    const duration = Number(source.duration);
+    if (!Number.isInteger(duration) || duration < 1 || duration > 36500) {
+      return { reason: 'Duration must be between 1 and 36500 days' };
+    }
+    license.duration = duration;
+  } else if (source.lifetime === true || source.lifetime === 'true') {
+    license.lifetime = true;
+  } else {
+    return { reason: 'No expiresAt, duration or lifetime given' };
+  }
+
+  if (license.note && license.note.length > 500) {
+    return { reason: 'Note cannot exceed 500 characters' };
+  }
+
+  if (present(row.maxDevices)) {
+    const maxDevices = Number(row.maxDevices);
+    if (!Number.isInteger(maxDevices) || maxDevices < 1 || maxDevices > 100) {
+      return { reason: 'Max devices must be between 1 and 100' };
+    }
+    license.maxDevices = maxDevices;
+  }
+
+  return { license };
+};
+
+// @desc    Create a new license
+// @route   POST /licenses
+// @access  Private
+router.post('/',
+  authenticateToken,
+  validateLicenseCreation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { app: appId, key, expiresAt, duration, lifetime, note, maxDevices, subscription, template, entitlements, resellerId } = req.body;
+    const userId = req.user._id;
+
+    // Check if app exists and user has access
+    const app = await App.findOne({ _id: appId });
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    let createdByType = 'owner';
+    let reseller = null;
+
+    // Check if user is owner or reseller
+    if (app.owner.toString() === userId.toString()) {
+      createdByType = 'owner';
+    } else {
+      // Check if user is a reseller for this app
+      reseller = await Reseller.findOne({ 
+        user: userId, 
+        app: appId, 
+        active: true 
+      });
+      
+      if (!reseller) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to create licenses for this app'
+        });
+      }
+
+      if (!reseller.hasPermission('create')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to create licenses'
+        });
+      }
+
+      if (!reseller.canCreateLicense()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You have reached your license creation limit'
+        });
+      }
+
+      if (maxDevices !== undefined) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only app owners can set license seat counts'
+        });
+      }
+
+      // Resellers hand out entitlements through the owner's license templates
+      if (entitlements !== undefined) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only app owners can set entitlements directly, use a license template'
+        });
+      }
+
+      createdByType = 'reseller';
+    }
+
+    // Check app license limits for owner
+    if (createdByType === 'owner' && !(await app.canCreateLicense(userId))) {
+      return res.status(403).json({
+        success: false,
+        message: `App has reached the maximum limit of ${req.user.maxLicensesPerApp} licenses for your plan`
+      });
+    }
+
+    // Validate custom license key if provided
+    if (key) {
+      if (!app.settings.allowCustomLicenseKey) {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom license keys are not allowed for this app'
+        });
+      }
+
+      // Check if key already exists
+      const existingLicense = await License.findOne({ key });
+      if (existingLicense) {
+        return res.status(400).json({
+          success: false,
+          message: 'License key already exists'
+        });
+      }
+    }
+
+    // Create license
+    const licenseData = {
+      app: appId,
+      createdByUser: userId,
+      createdByType,
+      expiresAt,
+      note
+    };
+
+    if (key) licenseData.key = key;
+    if (duration) licenseData.duration = duration;
+    if (lifetime) licenseData.lifetime = true;
+    if (maxDevices) licenseData.maxDevices = maxDevices;
+    if (reseller) licenseData.reseller = reseller._id;
+    if (subscription) licenseData.subscription = app.checkSubscription(subscription);
+    if (template) licenseData.template = template;
+    licenseData.entitlements = app.buildEntitlements({ template, entitlements });
+
+    const license = await License.create(licenseData);
+
+    // Update reseller usage if created by reseller
+    if (reseller) {
+      await reseller.incrementUsedLicenses();
+    }
+
+    await license.populate('app createdByUser reseller');
+
+    res.status(201).json({
+      success: true,
+      message: 'License created successfully',
+      data: {
+        license: license.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Generate licenses in bulk from a key mask
+// @route   POST /licenses/bulk
+// @access  Private
+router.post('/bulk',
+  authenticateToken,
+  validateBulkLicenseCreation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { app: appId, count, mask, prefix, charset, expiresAt, duration, lifetime, note, maxDevices, subscription, template, entitlements } = req.body;
+    const userId = req.user._id;
+
+    // Check if app exists and user has access
+    const app = await App.findOne({ _id: appId });
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    let createdByType = 'owner';
+    let reseller = null;
+
+    // Check if user is owner or reseller
+    if (app.owner.toString() !== userId.toString()) {
+      reseller = await Reseller.findOne({ 
+        user: userId, 
+        app: appId, 
+        active: true 
+      });
+      
+      if (!reseller || !reseller.hasPermission('create')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to create licenses for this app'
+        });
+      }
+
+      if (reseller.licenseLimit !== -1 && (reseller.usedLicenses + count) > reseller.licenseLimit) {
+        return res.status(403).json({
+          success: false,
+          message: `Cannot create ${count} licenses. You have ${reseller.remainingLicenses} licenses remaining.`
+        });
+      }
+
+      if (maxDevices !== undefined) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only app owners can set license seat counts'
+        });
+      }
+
+      // Resellers hand out entitlements through the owner's license templates
+      if (entitlements !== undefined) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only app owners can set entitlements directly, use a license template'
+        });
+      }
+
+      createdByType = 'reseller';
+    }
+
+    // Check app license limits for owner
+    if (createdByType === 'owner' && !(await app.canCreateLicense(userId, count))) {
+      return res.status(403).json({
+        success: false,
+        message: `Cannot create ${count} licenses, the app would exceed the limit of ${req.user.maxLicensesPerApp} licenses for your plan`
+      });
+    }
+
+    const keys = await License.generateBulk({
+      count,
+      mask,
+      prefix,
+      charset,
+      fields: {
+        app: app._id,
+        createdByUser: userId,
+        createdByType,
+        reseller: reseller ? reseller._id : undefined,
+        expiresAt: expiresAt || null,
+        duration: duration || null,
+        lifetime: lifetime === true,
+        note,
+        maxDevices: maxDevices || null,
+        subscription: subscription ? app.checkSubscription(subscription) : null,
+        template: template || null,
+        entitlements: app.buildEntitlements({ template, entitlements })
+      }
+    });
+
+    // Update reseller usage
+    if (reseller) {
+      reseller.usedLicenses += keys.length;
+      await reseller.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Successfully created ${keys.length} license(s)`,
+      data: {
+        keys,
+        count: keys.length
+      }
+    });
+  })
+);
+
+// @desc    Get licenses
+// @route   GET /licenses
+// @access  Private
+router.get('/',
+  authenticateToken,
+  validateLicenseSearch,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 1000, cursor, sort = 'createdAt', order = 'desc' } = req.query;
+
+    const { query, error } = await buildLicenseQuery(req.user._id, req.query);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // _id breaks ties so every row has a stable position
+    const direction = order === 'asc' ? 1 : -1;
+    const sortBy = { [sort]: direction, _id: direction };
+
+    // Cursor pagination: pass cursor= (empty) for the first page, then each nextCursor
+    if (cursor !== undefined) {
+      const after = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !after) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      if (after) {
+        query.$and = [...(query.$and || []), seekCondition(sort, direction, after)];
+      }
+
+      // Fetch one extra row to know whether there is another page, and skip the count
+      const licenses = await License.find(query)
+        .populate('app', 'name appId')
+        .populate('createdByUser', 'name email')
+        .populate('reseller')
+        .populate('usedBy', 'username')
+        .sort(sortBy)
+        .limit(limit + 1);
+
+      const hasMore = licenses.length > limit;
+      if (hasMore) licenses.pop();
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          licenses,
+          pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(licenses[licenses.length - 1], sort) : null
+          }
+        }
+      });
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    // Get licenses with pagination
+    const [licenses, total] = await Promise.all([
+      License.find(query)
+        .populate('app', 'name appId')
+        .populate('createdByUser', 'name email')
+        .populate('reseller')
+        .populate('usedBy', 'username')
+        .sort(sortBy)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      License.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        licenses,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  })
+);
+
+// @desc    Export licenses as CSV, plain text (one key per line) or JSON
+// @route   GET /licenses/export
+// @access  Private
+router.get('/export',
+  authenticateToken,
+  validateLicenseSearch,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { format = 'csv', sort = 'createdAt', order = 'desc' } = req.query;
+
+    if (!['csv', 'txt', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv, txt or json'
+      });
+    }
+
+    const { query, error } = await buildLicenseQuery(req.user._id, req.query);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Stream rows so large exports don't have to fit in memory
+    const cursor = License.find(query)
+      .populate('reseller', 'email')
+      .sort({ [sort]: order === 'asc' ? 1 : -1, _id: order === 'asc' ? 1 : -1 })
+      .lean()
+      .cursor();
+
+    res.attachment(`licenses-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.type(format === 'txt' ? 'text/plain' : format);
+
+    if (format === 'csv') res.write(toCsvRow(EXPORT_FIELDS) + '\n');
+    if (format === 'json') res.write('[');
+
+    let first = true;
+    for await (const license of cursor) {
+      const row = {
+        ...license,
+        reseller: license.reseller ? license.reseller.email : null
+      };
+
+      if (format === 'txt') {
+        res.write(license.key + '\n');
+      } else if (format === 'csv') {
+        res.write(toCsvRow(EXPORT_FIELDS.map(field => row[field])) + '\n');
+      } else {
+        const entry = {};
+        EXPORT_FIELDS.forEach(field => { entry[field] = row[field] === undefined ? null : row[field]; });
+        res.write((first ? '' : ',') + JSON.stringify(entry));
+      }
+      first = false;
+    }
+
+    if (format === 'json') res.write(']');
+    res.end();
+  })
+);
+
+// @desc    Import existing license keys from another system
+// @route   POST /licenses/import
+// @access  Private (app owner)
+router.post('/import',
+  authenticateToken,
+  validateLicenseImport,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { app: appId, format = 'json', data, expiresAt, duration, lifetime, note, subscription, template, entitlements } = req.body;
+    const userId = req.user._id;
+
+    // Check if user owns the app
+    const app = await App.findOne({ _id: appId, owner: userId });
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found or you are not the owner'
+      });
+    }
+
+    // Imported keys are custom keys
+    if (!app.settings.allowCustomLicenseKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'Custom license keys are not allowed for this app'
+      });
+    }
+
+    const rows = parseImportData(format, data);
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Import must contain between 1 and ${MAX_IMPORT_ROWS} licenses`
+      });
+    }
+
+    // Every imported key gets the body's subscription and the template's and body's entitlements
+    const licenseSubscription = subscription ? app.checkSubscription(subscription) : null;
+    const licenseEntitlements = app.buildEntitlements({ template, entitlements });
+
+    // Validate every row, skipping duplicates within the import itself
+    const defaults = { expiresAt, duration, lifetime, note };
+    const skipped = [];
+    const licenses = [];
+    const seen = new Set();
+
+    rows.forEach((raw, index) => {
+      const { license, reason } = toImportedLicense(raw, defaults);
+      const key = license ? license.key : (typeof raw === 'string' ? raw : (raw && raw.key) || null);
+
+      if (reason) {
+        skipped.push({ row: index + 1, key, reason });
+      } else if (seen.has(license.key)) {
+        skipped.push({ row: index + 1, key, reason: 'Duplicate key in import' });
+      } else {
+        seen.add(license.key);
+        licenses.push({ row: index + 1, license });
+      }
+    });
+
+    // Skip keys that already exist (license keys are unique across all apps)
+    const existing = new Set(await License.distinct('key', { key: { $in: [...seen] } }));
+    const toInsert = licenses.filter(({ row, license }) => {
+      if (!existing.has(license.key)) return true;
+      skipped.push({ row, key: license.key, reason: 'License key already exists' });
+      return false;
+    });
+
+    // Check app license limits
+    if (toInsert.length > 0 && !(await app.canCreateLicense(userId, toInsert.length))) {
+      return res.status(403).json({
+        success: false,
+        message: `Cannot import ${toInsert.length} licenses, the app would exceed the limit of ${req.user.maxLicensesPerApp} licenses for your plan`
+      });
+    }
+
+    let imported = 0;
+    for (let i = 0; i < toInsert.length; i += 1000) {
+      const batch = toInsert.slice(i, i + 1000);
+
+      try {
+        await License.insertMany(
+          batch.map(({ license }) => ({
+            ...license,
+            app: app._id,
+            createdByUser: userId,
+            createdByType: 'owner',
+            subscription: licenseSubscription,
+            template: template || null,
+            entitlements: licenseEntitlements
+          })),
+          { ordered: false, throwOnValidationError: true }
+        );
+        imported += batch.length;
+      } catch (error) {
+        // Keys inserted by someone else since the lookup above are reported as existing
+        if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) {
+          throw error;
+        }
+        const insertedKeys = new Set(error.insertedDocs.map(doc => doc.key));
+        imported += insertedKeys.size;
+        batch
+          .filter(({ license }) => !insertedKeys.has(license.key))
+          .forEach(({ row, license }) => skipped.push({ row, key: license.key, reason: 'License key already exists' }));
+      }
+    }
+
+    skipped.sort((a, b) => a.row - b.row);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${imported} license(s), skipped ${skipped.length}`,
+      data: {
+        imported,
+        skipped
+      }
+    });
+  })
+);
+
+// @desc    Apply an action to many licenses, chosen by ID or by search filter
+// @route   POST /licenses/bulk-action
+// @access  Private
+router.post('/bulk-action',
+  authenticateToken,
+  validateBulkLicenseAction,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { action, ids, filter, days, note, dryRun = false } = req.body;
+    const userId = req.user._id;
+
+    // Targets are limited to licenses the user can see, as in GET /licenses
+    const { query, error } = await buildLicenseQuery(userId, filter || {});
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (ids) {
+      query._id = { $in: ids };
+    }
+
+    const matched = await License.countDocuments(query);
+    if (matched > MAX_BULK_ACTION_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `${matched} licenses match, narrow the selection to at most ${MAX_BULK_ACTION_ITEMS}`
+      });
+    }
+
+    const licenses = await License.find(query)
+      .select('key status lifetime duration expiresAt used usedBy reseller app note')
+      .populate('app', 'owner');
+
+    // Resolve the user's role in each app once
+    const resellers = new Map();
+    for (const license of licenses) {
+      const appId = license.app._id.toString();
+      if (resellers.has(appId) || license.app.owner.toString() === userId.toString()) continue;
+
+      resellers.set(appId, await Reseller.findOne({
+        user: userId,
+        app: license.app._id,
+        active: true
+      }));
+    }
+
+    const permission = BULK_ACTION_PERMISSIONS[action];
+    const results = [];
+    const applicable = [];
+    const actors = new Map();
+
+    for (const license of licenses) {
+      const appId = license.app._id.toString();
+      const isOwner = license.app.owner.toString() === userId.toString();
+      const reseller = resellers.get(appId);
+
+      let reason = null;
+      if (!isOwner) {
+        if (!reseller || permission === 'owner') {
+          reason = permission === 'owner' ? 'Only app owners can do this' : 'You do not have access to this license';
+        } else if (permission !== 'any' && !reseller.hasPermission(permission)) {
+          reason = 'You do not have permission for this action';
+        }
+      }
+
+      reason = reason || getBulkActionConflict(action, license);
+
+      if (reason) {
+        results.push({ id: license._id, key: license.key, success: false, error: reason });
+      } else {
+        results.push({ id: license._id, key: license.key, success: true });
+        applicable.push(license);
+        actors.set(license._id.toString(), licenseActor(req, isOwner ? null : reseller));
+      }
+    }
+
+    // Requested IDs that aren't visible to the user
+    if (ids) {
+      const found = new Set(licenses.map(license => license._id.toString()));
+      ids.filter(id => !found.has(id.toString()))
+        .forEach(id => results.push({ id, key: null, success: false, error: 'License not found' }));
+    }
+
+    if (!dryRun && applicable.length > 0) {
+      await applyBulkAction(action, applicable, { days, note, actors, userId });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `${applicable.length} of ${results.length} license(s) would be updated`
+        : `${action} applied to ${applicable.length} of ${results.length} license(s)`,
+      data: {
+        dryRun,
+        matched: results.length,
+        succeeded: applicable.length,
+        failed: results.length - applicable.length,
+        results
+      }
+    });
+  })
+);
+
+// @desc    Get single license
+// @route   GET /licenses/:id
+// @access  Private
+router.get('/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const license = await License.findById(req.params.id)
+      .populate('app', 'name appId owner')
+      .populate('createdByUser', 'name email')
+      .populate('reseller')
+      .populate('usedBy', 'username hwid');
+
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    // Check permissions
+    const userId = req.user._id;
+    const isOwner = license.app.owner.toString() === userId.toString();
+    const isCreator = license.createdByUser._id.toString() === userId.toString();
+
+    if (!isOwner && !isCreator) {
+      // Check if user is reseller for this app
+      const reseller = await Reseller.findOne({ 
+        user: userId, 
+        app: license.app._id, 
+        active: true 
+      });
+      
+      if (!reseller) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to this license'
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        license: license.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Update license
+// @route   PUT /licenses/:id
+// @access  Private
+router.put('/:id',
+  authenticateToken,
+  validateLicenseUpdate,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { status, expiresAt, duration, lifetime, note, maxDevices, subscription, template, entitlements } = req.body;
+    const userId = req.user._id;
+
+    const license = await License.findById(req.params.id)
+      .populate('app', 'owner subscriptions entitlements licenseTemplates')
+      .populate('reseller');
+
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    // Check permissions
+    const isOwner = license.app.owner.toString() === userId.toString();
+    let reseller = null;
+
+    if (!isOwner) {
+      reseller = await Reseller.findOne({ 
+        user: userId, 
+        app: license.app._id, 
+        active: true 
+      });
+      
+      if (!reseller) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to update this license'
+        });
+      }
+
+      // Check reseller permissions
+      if (status && !reseller.hasPermission('banUnban')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to change license status'
+        });
+      }
+
+      if ((expiresAt || duration || lifetime !== undefined) && !reseller.hasPermission('editExpiry')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to edit license expiry'
+        });
+      }
+
+      if (maxDevices !== undefined) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only app owners can change license seat counts'
+        });
+      }
+
+      if (template !== undefined || entitlements !== undefined) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only app owners can change license entitlements'
+        });
+      }
+
+      if (subscription !== undefined) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only app owners can change a license\'s subscription'
+        });
+      }
+    }
+
+    // A redeemed license's clock has already started
+    if ((duration !== undefined || lifetime !== undefined) && license.used) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duration can only be changed before the license is redeemed'
+      });
+    }
+
+    // A redeemed license's time already counts towards a client subscription
+    if (subscription !== undefined && license.used) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription can only be changed before the license is redeemed'
+      });
+    }
+
+    // Update fields
+    if (status !== undefined) license.status = status;
+    if (expiresAt !== undefined) license.expiresAt = expiresAt;
+
+    // Unredeemed keys can switch between a fixed expiry, a duration and lifetime
+    if (!license.used && (expiresAt !== undefined || duration !== undefined || lifetime !== undefined)) {
+      license.duration = duration || null;
+      license.lifetime = lifetime === true;
+      if (expiresAt === undefined) license.expiresAt = null;
+    }
+    if (note !== undefined) license.note = note;
+    if (maxDevices !== undefined) license.maxDevices = maxDevices;
+    if (subscription !== undefined) {
+      license.subscription = subscription ? license.app.checkSubscription(subscription) : null;
+    }
+
+    // A template and/or explicit values replace the license's entitlements
+    let newEntitlements = null;
+    if (template !== undefined || entitlements !== undefined) {
+      newEntitlements = license.app.buildEntitlements({ template, entitlements });
+      license.entitlements = newEntitlements;
+      license.template = template || null;
+    }
+
+    await license.trackAs('update', licenseActor(req, reseller)).save();
+
+    // A redeemed license's seat count and entitlements live on its client
+    if (maxDevices && license.usedBy) {
+      await Client.updateOne({ _id: license.usedBy }, { $set: { maxDevices } });
+    }
+    if (newEntitlements && license.usedBy) {
+      await Client.updateOne({ _id: license.usedBy }, { $set: { entitlements: newEntitlements } });
+      await Client.updateOne(
+        { _id: license.usedBy, 'subscriptions.licenseKeys': license.key },
+        { $set: { 'subscriptions.$.entitlements': newEntitlements } }
+      );
+    }
+    await license.populate('app createdByUser reseller usedBy');
+
+    res.status(200).json({
+      success: true,
+      message: 'License updated successfully',
+      data: {
+        license: license.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Delete license
+// @route   DELETE /licenses/:id
+// @access  Private
+router.delete('/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    const license = await License.findById(req.params.id)
+      .populate('app', 'owner')
+      .populate('reseller');
+
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    // Check permissions - only owners can delete
+    const isOwner = license.app.owner.toString() === userId.toString();
+
+    if (!isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only app owners can delete licenses'
+      });
+    }
+
+    // Move it to the trash, handing reseller usage back if a reseller created it
+    const batch = TrashItem.newBatch();
+    await TrashItem.moveToTrash('license', { _id: license._id }, { owner: userId, deletedBy: userId, batch });
+    await LicenseChange.create(LicenseChange.entry(license, 'delete', [], licenseActor(req, null)));
+
+    res.status(200).json({
+      success: true,
+      message: 'License moved to trash',
+      data: {
+        batch
+      }
+    });
+  })
+);
+
+// @desc    Get license change history
+// @route   GET /licenses/:id/history
+// @access  Private
+router.get('/:id/history',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50 } = req.query;
+    const userId = req.user._id;
+
+    const license = await License.findById(req.params.id)
+      .select('key app createdByUser')
+      .populate('app', 'owner');
+
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    // Same access as GET /licenses/:id
+    const isOwner = license.app.owner.toString() === userId.toString();
+    const isCreator = license.createdByUser.toString() === userId.toString();
+
+    if (!isOwner && !isCreator) {
+      const reseller = await Reseller.findOne({ 
+        user: userId, 
+        app: license.app._id, 
+        active: true 
+      });
+      
+      if (!reseller) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to this license'
+        });
+      }
+    }
+
+    const skip = (page - 1) * limit;
+    const [changes, total] = await Promise.all([
+      LicenseChange.find({ license: license._id })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      LicenseChange.countDocuments({ license: license._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        license: { _id: license._id, key: license.key },
+        changes,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  })
+);
+
+// @desc    Toggle license ban status
+// @route   PATCH /licenses/:id/toggle-ban
+// @access  Private
+router.patch('/:id/toggle-ban',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    const license = await License.findById(req.params.id)
+      .populate('app', 'owner');
+
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    // Check permissions
+    const isOwner = license.app.owner.toString() === userId.toString();
+    let reseller = null;
+
+    if (!isOwner) {
+      reseller = await Reseller.findOne({ 
+        user: userId, 
+        app: license.app._id, 
+        active: true 
+      });
+      
+      if (!reseller || !reseller.hasPermission('banUnban')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to ban/unban licenses'
+        });
+      }
+    }
+
+    await license.toggleBan(licenseActor(req, reseller));
+    await license.populate('app createdByUser reseller usedBy');
+
+    res.status(200).json({
+      success: true,
+      message: `License ${license.status === 'BANNED' ? 'banned' : 'unbanned'} successfully`,
+      data: {
+        license: license.toJSON()
+      }
+    });
+  })
+);
+
+// @desc    Delete all licenses for user's apps
+// @route   DELETE /licenses
+// @access  Private
+router.delete('/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { app: appId } = req.query;
+
+    let query = {};
+
+    if (appId) {
+      // Check if user owns the specific app
+      const app = await App.findOne({ _id: appId, owner: userId });
+      if (!app) {
+        return res.status(404).json({
+          success: false,
+          message: 'App not found or you are not the owner'
+        });
+      }
+      query.app = appId;
+    } else {
+      // Get all apps owned by the user
+      const userApps = await App.find({ owner: userId }).select('_id');
+      query.app = { $in: userApps.map(app => app._id) };
+    }
+
+    // Only delete licenses from apps owned by the user (not reseller licenses)
+    query.createdByType = 'owner';
+
+    // Count licenses before deletion
+    const licenseCount = await License.countDocuments(query);
+
+    // Move all matching licenses to the trash as one batch, noting each in its history
+    const deleted = await License.find(query).select('app').lean();
+    const batch = TrashItem.newBatch();
+    await TrashItem.moveToTrash('license', query, { owner: userId, deletedBy: userId, batch });
+    await LicenseChange.record(deleted.map(license => LicenseChange.entry(license, 'delete', [], licenseActor(req, null))));
+
+    res.status(200).json({
+      success: true,
+      message: `Moved ${licenseCount} license(s) to trash`,
+      data: {
+        deletedCount: licenseCount,
+        batch
+      }
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
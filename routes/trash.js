@@ -0,0 +1,176 @@
+const express = require('express');
+const License = require('../models/License');
+const TrashItem = require('../models/TrashItem');
+const { authenticateToken } = require('../middleware/auth');
+const { validateTrashQuery, validate } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Why restoring some items would take the user past their plan's limits, or null if it wouldn't
+const getRestoreLimitError = async (user, items) => {
+  const apps = items.filter(item => item.type === 'app').length;
+  if (apps > 0 && user.maxApps !== -1 && user.apps.length + apps > user.maxApps) {
+    return `You have reached the maximum limit of ${user.maxApps} apps for your plan`;
+  }
+
+  if (user.maxLicensesPerApp === -1) return null;
+
+  const perApp = new Map();
+  items.filter(item => item.type === 'license').forEach(item => {
+    const appId = item.app.toString();
+    perApp.set(appId, (perApp.get(appId) || 0) + 1);
+  });
+
+  for (const [appId, count] of perApp) {
+    const licenseCount = await License.countDocuments({ app: appId });
+    if (licenseCount + count > user.maxLicensesPerApp) {
+      return `Restoring would exceed the maximum of ${user.maxLicensesPerApp} licenses per app for your plan`;
+    }
+  }
+
+  return null;
+};
+
+// Restore trash items for the user and report what came back
+const restoreAndRespond = async (req, res, items) => {
+  const limitError = await getRestoreLimitError(req.user, items);
+  if (limitError) {
+    return res.status(403).json({
+      success: false,
+      message: limitError
+    });
+  }
+
+  const { restored, skipped } = await TrashItem.restoreItems(items, { restoredBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: `Restored ${restored.length} of ${items.length} item(s)`,
+    data: {
+      restored: restored.map(item => ({ id: item._id, type: item.type, item: item.item, label: item.label })),
+      skipped: skipped.map(({ item, reason }) => ({ id: item._id, type: item.type, item: item.item, label: item.label, reason }))
+    }
+  });
+};
+
+// @desc    Get deleted apps, licenses and clients
+// @route   GET /trash
+// @access  Private
+router.get('/',
+  authenticateToken,
+  validateTrashQuery,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { type, app, batch, page = 1, limit = 50 } = req.query;
+
+    const query = { owner: req.user._id };
+    if (type) query.type = type;
+    if (app) query.app = app;
+    if (batch) query.batch = batch;
+
+    const skip = (page - 1) * limit;
+    const [items, total] = await Promise.all([
+      TrashItem.find(query)
+        .select('-data')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      TrashItem.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  })
+);
+
+// @desc    Get deletions, grouping the items each request deleted
+// @route   GET /trash/batches
+// @access  Private
+router.get('/batches',
+  authenticateToken,
+  validateTrashQuery,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50 } = req.query;
+
+    const batches = await TrashItem.aggregate([
+      { $match: { owner: req.user._id } },
+      {
+        $group: {
+          _id: '$batch',
+          deletedAt: { $min: '$deletedAt' },
+          purgeAt: { $min: '$purgeAt' },
+          apps: { $sum: { $cond: [{ $eq: ['$type', 'app'] }, 1, 0] } },
+          licenses: { $sum: { $cond: [{ $eq: ['$type', 'license'] }, 1, 0] } },
+          clients: { $sum: { $cond: [{ $eq: ['$type', 'client'] }, 1, 0] } }
+        }
+      },
+      { $sort: { deletedAt: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: { _id: 0, batch: '$_id', deletedAt: 1, purgeAt: 1, apps: 1, licenses: 1, clients: 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        batches
+      }
+    });
+  })
+);
+
+// @desc    Restore everything one request deleted
+// @route   POST /trash/batches/:batch/restore
+// @access  Private
+router.post('/batches/:batch/restore',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const items = await TrashItem.find({ owner: req.user._id, batch: req.params.batch });
+
+    if (items.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nothing in the trash for this batch'
+      });
+    }
+
+    await restoreAndRespond(req, res, items);
+  })
+);
+
+// @desc    Restore a deleted item (an app comes back with everything deleted along with it)
+// @route   POST /trash/:id/restore
+// @access  Private
+router.post('/:id/restore',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const item = await TrashItem.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trash item not found'
+      });
+    }
+
+    const items = item.type === 'app'
+      ? await TrashItem.find({ owner: req.user._id, batch: item.batch })
+      : [item];
+
+    await restoreAndRespond(req, res, items);
+  })
+);
+
+module.exports = router;
\ No newline at end of file
@@ -1,145 +1,212 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const connectDB = require('./config/database');
-const { errorHandler, notFound } = require('./middleware/errorHandler');
-
-// Import routes
-const authRoutes = require('./routes/auth');
-const appRoutes = require('./routes/apps');
-const licenseRoutes = require('./routes/licenses');
-const resellerRoutes = require('./routes/resellers');
-const clientRoutes = require('./routes/clients');
-const paymentRoutes = require('./routes/payments');
-
-// Initialize Express app
-const app = express();
-
-// Connect to MongoDB
-connectDB();
-
-// Middleware
-app.use(helmet()); // Security headers
-app.use(cors()); // Enable CORS
-app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
-app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
-
-
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'License Management System API is running',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/apps', appRoutes);
-app.use('/api/licenses', licenseRoutes);
-app.use('/api/resellers', resellerRoutes);
-app.use('/api/clients', clientRoutes);
-app.use('/api/payments', paymentRoutes);
-
-// API documentation endpoint
-app.get('/api', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'License Management & Reseller System API',
-    version: '1.0.0',
-    endpoints: {
-      auth: {
-        'POST /api/auth/register': 'Register a new user',
-        'POST /api/auth/login': 'Login user',
-        'GET /api/auth/profile': 'Get user profile'
-      },
-      apps: {
-        'POST /api/apps': 'Create new app',
-        'GET /api/apps': 'Get user apps',
-        'GET /api/apps/:id': 'Get single app',
-        'PUT /api/apps/:id': 'Update app',
-        'DELETE /api/apps/:id': 'Delete app',
-        'GET /api/apps/:id/error-messages': 'Get app error messages',
-        'PUT /api/apps/:id/error-messages': 'Update app error messages',
-        'GET /api/apps/:id/stats': 'Get app statistics'
-      },
-      licenses: {
-        'POST /api/licenses': 'Create new license',
-        'GET /api/licenses': 'Get licenses',
-        'GET /api/licenses/:id': 'Get single license',
-        'PUT /api/licenses/:id': 'Update license',
-        'DELETE /api/licenses/:id': 'Delete license',
-        'DELETE /api/licenses': 'Delete all licenses (with optional app filter)',
-        'PATCH /api/licenses/:id/toggle-ban': 'Ban/unban license'
-      },
-      resellers: {
-        'POST /api/resellers': 'Create new reseller',
-        'GET /api/resellers': 'Get resellers',
-        'GET /api/resellers/:id': 'Get single reseller',
-        'PUT /api/resellers/:id': 'Update reseller',
-        'DELETE /api/resellers/:id': 'Delete reseller',
-        'GET /api/resellers/dashboard/data': 'Get reseller dashboard'
-      },
-      clients: {
-        'POST /api/clients/register': 'Register new client',
-        'POST /api/clients/login': 'Client login',
-        'POST /api/clients/validate-session': 'Validate client session',
-        'GET /api/clients': 'Get clients (owner only)',
-        'DELETE /api/clients/:id': 'Delete client',
-        'PATCH /api/clients/:id/toggle-ban': 'Ban/unban client',
-        'PATCH /api/clients/:id/extend': 'Extend client subscription'
-      },
-      payments: {
-        'POST /api/payments/razorpay/create-order': 'Create Razorpay order (accepts planDuration: monthly/yearly)',
-        'POST /api/payments/razorpay/verify': 'Verify Razorpay payment (requires planDuration)',
-        'GET /api/payments/history': 'Get payment history',
-        'GET /api/payments/analytics': 'Get payment analytics',
-        'GET /api/payments/:paymentId': 'Get payment details',
-        'POST /api/payments/:paymentId/refund': 'Process refund',
-        'GET /api/payments/pricing': 'Get pricing information (monthly & yearly)',
-        'POST /api/payments/cancel-subscription': 'Cancel subscription',
-        'POST /api/payments/webhook': 'Razorpay webhook handler'
-      }
-    },
-    documentation: 'See README.md for detailed API documentation'
-  });
-});
-
-// 404 handler
-app.use(notFound);
-
-// Global error handler
-app.use(errorHandler);
-
-// Start server
-const PORT = process.env.PORT || 3000;
-
-app.listen(PORT, () => {
-  console.log(`
-🚀 License Management System API Server Started
-📍 Server running on port ${PORT}
-🌍 Environment: ${process.env.NODE_ENV || 'development'}
-📚 API Documentation: http://localhost:${PORT}/api
-🏥 Health Check: http://localhost:${PORT}/health
-⚡ Ready to accept requests!
-  `);
-});
-
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err, promise) => {
-  console.log(`Error: ${err.message}`);
-  // Close server & exit process
-  process.exit(1);
-});
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (err) => {
-  console.log(`Error: ${err.message}`);
-  process.exit(1);
-});
-
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const connectDB = require('./config/database');
+const scheduler = require('./utils/scheduler');
+const { registerJobs } = require('./utils/jobs');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+
+// Import routes
+const authRoutes = require('./routes/auth');
+const appRoutes = require('./routes/apps');
+const licenseRoutes = require('./routes/licenses');
+const resellerRoutes = require('./routes/resellers');
+const clientRoutes = require('./routes/clients');
+const paymentRoutes = require('./routes/payments');
+const trashRoutes = require('./routes/trash');
+
+// Initialize Express app
+const app = express();
+
+// Connect to MongoDB
+connectDB();
+
+// Trust only the configured number of proxies in front of the app (one for Vercel), so req.ip is
+// the address the last trusted proxy saw rather than whatever a caller puts in X-Forwarded-For
+const trustProxyHops = parseInt(process.env.TRUST_PROXY_HOPS);
+app.set('trust proxy', Number.isNaN(trustProxyHops) ? 1 : trustProxyHops);
+
+// Middleware
+app.use(helmet()); // Security headers
+app.use(cors()); // Enable CORS
+app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
+app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
+
+
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'License Management System API is running',
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
+
+// API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/apps', appRoutes);
+app.use('/api/licenses', licenseRoutes);
+app.use('/api/resellers', resellerRoutes);
+app.use('/api/clients', clientRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/trash', trashRoutes);
+
+// API documentation endpoint
+app.get('/api', (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'License Management & Reseller System API',
+    version: '1.0.0',
+    endpoints: {
+      auth: {
+        'POST /api/auth/register': 'Register a new user',
+        'POST /api/auth/login': 'Login user',
+        'GET /api/auth/profile': 'Get user profile'
+      },
+      apps: {
+        'POST /api/apps': 'Create new app',
+        'GET /api/apps': 'Get user apps',
+        'GET /api/apps/:id': 'Get single app',
+        'PUT /api/apps/:id': 'Update app',
+        'DELETE /api/apps/:id': 'Move app and its licenses and clients to trash',
+        'GET /api/apps/:id/error-messages': 'Get app error messages',
+        'PUT /api/apps/:id/error-messages': 'Update app error messages',
+        'GET /api/apps/:id/stats': 'Get app statistics',
+        'GET /api/apps/:id/pauses': 'Get app pause history',
+        'GET /api/apps/:id/maintenance': 'Get maintenance windows',
+        'POST /api/apps/:id/maintenance': 'Schedule maintenance window',
+        'DELETE /api/apps/:id/maintenance/:windowId': 'Cancel maintenance window',
+        'GET /api/apps/:id/lockouts': 'Get login lockout events',
+        'POST /api/apps/:id/certificates': 'Issue signed offline license certificate',
+        'GET /api/apps/:id/blacklist': 'Get HWID blacklist',
+        'POST /api/apps/:id/blacklist': 'Blacklist an HWID',
+        'DELETE /api/apps/:id/blacklist/:entryId': 'Remove HWID from blacklist',
+        'GET /api/apps/:id/ip-rules': 'Get IP allow/deny lists',
+        'PUT /api/apps/:id/ip-rules': 'Update IP allow/deny lists',
+        'GET /api/apps/:id/sharing-rules': 'Get account-sharing detection rules',
+        'PUT /api/apps/:id/sharing-rules': 'Update account-sharing detection rules',
+        'GET /api/apps/:id/entitlements': 'Get entitlement definitions and license templates',
+        'PUT /api/apps/:id/entitlements': 'Replace entitlement definitions (feature flags and limits)',
+        'GET /api/apps/:id/subscriptions': 'Get subscription definitions',
+        'PUT /api/apps/:id/subscriptions': 'Replace subscription definitions (names and levels)',
+        'POST /api/apps/:id/license-templates': 'Create license template',
+        'PUT /api/apps/:id/license-templates/:templateId': 'Update license template',
+        'DELETE /api/apps/:id/license-templates/:templateId': 'Delete license template',
+        'GET /api/apps/:id/hashes': 'Get allowed program hashes',
+        'POST /api/apps/:id/hashes': 'Register allowed program hash',
+        'DELETE /api/apps/:id/hashes/:hashId': 'Remove program hash'
+      },
+      licenses: {
+        'POST /api/licenses': 'Create new license',
+        'POST /api/licenses/bulk': 'Generate up to 10000 licenses from a key mask',
+        'GET /api/licenses/export': 'Export licenses as CSV, TXT or JSON',
+        'POST /api/licenses/import': 'Import existing license keys (owner only)',
+        'POST /api/licenses/bulk-action': 'Apply an action to licenses by ID or filter (supports dry run)',
+        'GET /api/licenses': 'Search licenses (filters, sorting, page or cursor pagination)',
+        'GET /api/licenses/:id': 'Get single license',
+        'PUT /api/licenses/:id': 'Update license',
+        'DELETE /api/licenses/:id': 'Delete license',
+        'DELETE /api/licenses': 'Delete all licenses (with optional app filter)',
+        'PATCH /api/licenses/:id/toggle-ban': 'Ban/unban license',
+        'GET /api/licenses/:id/history': 'Get license change history'
+      },
+      resellers: {
+        'POST /api/resellers': 'Create new reseller',
+        'GET /api/resellers': 'Get resellers',
+        'GET /api/resellers/:id': 'Get single reseller',
+        'PUT /api/resellers/:id': 'Update reseller',
+        'DELETE /api/resellers/:id': 'Delete reseller',
+        'PATCH /api/resellers/auth/clients/:id/reset-hwid': 'Reset client HWID (reseller with resetHwid permission)',
+        'PATCH /api/resellers/auth/clients/:id/pause': 'Pause client subscription (reseller with pauseResume permission)',
+        'PATCH /api/resellers/auth/clients/:id/resume': 'Resume client subscription (reseller with pauseResume permission)',
+        'GET /api/resellers/dashboard/data': 'Get reseller dashboard'
+      },
+      clients: {
+        'POST /api/clients/register': 'Register new client',
+        'POST /api/clients/login': 'Client login',
+        'POST /api/clients/license-login': 'Client login with license key only',
+        'POST /api/clients/validate-session': 'Validate client session token',
+        'POST /api/clients/heartbeat': 'Refresh client session',
+        'POST /api/clients/logout': 'End client session',
+        'GET /api/clients': 'Get clients (owner only)',
+        'DELETE /api/clients/:id': 'Move client to trash',
+        'PATCH /api/clients/:id/toggle-ban': 'Ban/unban client',
+        'PATCH /api/clients/:id/extend': 'Extend client subscription',
+        'POST /api/clients/devices': 'List own device seats (session token)',
+        'POST /api/clients/devices/release': 'Release own device seat (session token)',
+        'DELETE /api/clients/:id/devices/:hwid': 'Release client device seat',
+        'POST /api/clients/redeem': 'Redeem another license key into an existing client',
+        'POST /api/clients/reset-hwid': 'Client self-service HWID reset',
+        'PATCH /api/clients/:id/reset-hwid': 'Reset client HWID',
+        'GET /api/clients/:id/hwid-resets': 'Get client HWID reset history',
+        'GET /api/clients/logins': 'Get login history for an app (owner only)',
+        'GET /api/clients/:id/logins': 'Get client login history',
+        'GET /api/clients/flags': 'Get account-sharing flags (owner only)',
+        'PATCH /api/clients/flags/:flagId/resolve': 'Resolve account-sharing flag',
+        'PATCH /api/clients/:id/pause': 'Pause client subscription',
+        'PATCH /api/clients/:id/resume': 'Resume client subscription'
+      },
+      payments: {
+        'POST /api/payments/razorpay/create-order': 'Create Razorpay order (accepts planDuration: monthly/yearly)',
+        'POST /api/payments/razorpay/verify': 'Verify Razorpay payment (requires planDuration)',
+        'GET /api/payments/history': 'Get payment history',
+        'GET /api/payments/analytics': 'Get payment analytics',
+        'GET /api/payments/:paymentId': 'Get payment details',
+        'POST /api/payments/:paymentId/refund': 'Process refund',
+        'GET /api/payments/pricing': 'Get pricing information (monthly & yearly)',
+        'POST /api/payments/cancel-subscription': 'Cancel subscription',
+        'POST /api/payments/webhook': 'Razorpay webhook handler'
+      },
+      trash: {
+        'GET /api/trash': 'List deleted apps, licenses and clients',
+        'GET /api/trash/batches': 'List deletions, grouped by the request that made them',
+        'POST /api/trash/:id/restore': 'Restore a deleted item (apps come back with their licenses and clients)',
+        'POST /api/trash/batches/:batch/restore': 'Restore everything one request deleted'
+      }
+    },
+    documentation: 'See README.md for detailed API documentation'
+  });
+});
+
+// 404 handler
+app.use(notFound);
+
+// Global error handler
+app.use(errorHandler);
+
+// Start server
+const PORT = process.env.PORT || 3000;
+
+app.listen(PORT, () => {
+  console.log(`
+🚀 License Management System API Server Started
+📍 Server running on port ${PORT}
+🌍 Environment: ${process.env.NODE_ENV || 'development'}
+📚 API Documentation: http://localhost:${PORT}/api
+🏥 Health Check: http://localhost:${PORT}/health
+⚡ Ready to accept requests!
+  `);
+});
+
+// Run background jobs (license/client expiry, maintenance windows); the lock in MongoDB
+// makes each run happen on one instance only
+registerJobs();
+scheduler.start();
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (err, promise) => {
+  console.log(`Error: ${err.message}`);
+  // Close server & exit process
+  process.exit(1);
+});
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (err) => {
+  console.log(`Error: ${err.message}`);
+  process.exit(1);
+});
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,66 @@
+// Text that spreadsheets would run as a formula (or as DDE) when it starts a cell
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a value for CSV if it contains a separator, quote or line break. Text that would start
+// a formula gets a leading ' so spreadsheets show it as text.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo the ' that escapeCsvValue puts in front of formula-like text
+const unescapeCsvValue = (text) => (
+  text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text
+);
+
+// Build one CSV line (without the line break)
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',');
+
+// Parse CSV text into rows of strings, handling quoted fields; blank lines are skipped
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+
+  return rows;
+};
+
+module.exports = {
+  toCsvRow,
+  unescapeCsvValue,
+  parseCsv
+};
\ No newline at end of file
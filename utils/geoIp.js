@@ -0,0 +1,107 @@
+const fs = require('fs');
+const net = require('net');
+const readline = require('readline');
+const { normalizeIp } = require('./ipFilter');
+
+// Offline IPv4 location database used for impossible-travel checks. Each line is
+// "start_ip,end_ip,...,latitude,longitude" (the DB-IP / IP2Location lite CSV layout);
+// without a file no IP can be located and travel checks are skipped.
+const GEOIP_FILE = process.env.GEOIP_FILE;
+
+let geoCache = { mtimeMs: null, ranges: [] };
+
+// Load in progress, shared by every lookup that arrives while the file is being read
+let loading = null;
+
+// Convert a dotted IPv4 address to an unsigned integer
+const ipv4ToInt = (ip) => {
+  return ip.split('.').reduce((value, octet) => value * 256 + parseInt(octet), 0);
+};
+
+// Stream the location file line by line, so reading it doesn't block other requests
+const loadRanges = async (mtimeMs) => {
+  const ranges = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(GEOIP_FILE, 'utf8'), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    const columns = line.split(',').map(column => column.replace(/"/g, '').trim());
+    if (columns.length < 4 || !net.isIPv4(columns[0]) || !net.isIPv4(columns[1])) continue;
+
+    const lat = parseFloat(columns[columns.length - 2]);
+    const lon = parseFloat(columns[columns.length - 1]);
+    if (isNaN(lat) || isNaN(lon)) continue;
+
+    ranges.push({ start: ipv4ToInt(columns[0]), end: ipv4ToInt(columns[1]), lat, lon });
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  geoCache = { mtimeMs, ranges };
+};
+
+// Get the location ranges, loading the file on first use and again whenever it changes on disk
+const getRanges = async () => {
+  if (!GEOIP_FILE) return geoCache.ranges;
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(GEOIP_FILE);
+  } catch (error) {
+    return geoCache.ranges;
+  }
+
+  if (stat.mtimeMs !== geoCache.mtimeMs) {
+    if (!loading) {
+      loading = loadRanges(stat.mtimeMs)
+        .catch(() => {
+          // Keep the ranges we had, and don't retry until the file changes again
+          geoCache = { ...geoCache, mtimeMs: stat.mtimeMs };
+        })
+        .finally(() => {
+          loading = null;
+        });
+    }
+    await loading;
+  }
+
+  return geoCache.ranges;
+};
+
+// Find the approximate location of an IP; resolves to null if it isn't in the database
+const locateIp = async (ip) => {
+  const address = normalizeIp(ip);
+  if (!address || !net.isIPv4(address)) return null;
+
+  const ranges = await getRanges();
+  const value = ipv4ToInt(address);
+
+  // Binary search for the last range starting at or before the address
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (ranges[mid].start <= value) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const range = ranges[high];
+  if (!range || value > range.end) return null;
+  return { lat: range.lat, lon: range.lon };
+};
+
+// Great-circle distance between two locations in kilometres
+const distanceKm = (from, to) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(to.lat - from.lat);
+  const dLon = toRad(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+module.exports = {
+  locateIp,
+  distanceKm
+};
\ No newline at end of file
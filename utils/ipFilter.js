@@ -0,0 +1,107 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+// Operators can replace this file (or point VPN_RANGES_FILE elsewhere) without a restart
+const VPN_RANGES_FILE = process.env.VPN_RANGES_FILE || path.join(__dirname, '..', 'config', 'vpn-ranges.txt');
+
+let vpnCache = { mtimeMs: null, list: new net.BlockList() };
+
+// Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 callers
+const normalizeIp = (ip) => {
+  if (!ip) return null;
+  return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+};
+
+// Parse "1.2.3.4", "1.2.3.0/24" or an IPv6 equivalent; returns null if invalid
+const parseRange = (entry) => {
+  if (typeof entry !== 'string') return null;
+
+  const [address, prefix] = entry.trim().split('/');
+  const version = net.isIP(address);
+  if (!version) return null;
+
+  const type = version === 4 ? 'ipv4' : 'ipv6';
+  const maxPrefix = version === 4 ? 32 : 128;
+
+  if (prefix === undefined) {
+    return { address, prefix: maxPrefix, type };
+  }
+
+  if (!/^\d+$/.test(prefix) || parseInt(prefix) > maxPrefix) return null;
+  return { address, prefix: parseInt(prefix), type };
+};
+
+// Check if a string is a valid IP or CIDR range
+const isValidRange = (entry) => parseRange(entry) !== null;
+
+// Build a BlockList from IP/CIDR strings, skipping invalid entries
+const buildBlockList = (entries) => {
+  const list = new net.BlockList();
+
+  for (const entry of entries) {
+    const range = parseRange(entry);
+    if (range) {
+      list.addSubnet(range.address, range.prefix, range.type);
+    }
+  }
+
+  return list;
+};
+
+// Check an IP against a BlockList
+const matches = (list, ip) => {
+  const address = normalizeIp(ip);
+  const version = net.isIP(address || '');
+  if (!version) return false;
+  return list.check(address, version === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Load the VPN/datacenter range file, re-reading it whenever it changes on disk
+const getVpnRanges = () => {
+  let stat;
+  try {
+    stat = fs.statSync(VPN_RANGES_FILE);
+  } catch (error) {
+    return vpnCache.list; // No range file: nothing is treated as a VPN
+  }
+
+  if (stat.mtimeMs !== vpnCache.mtimeMs) {
+    const entries = fs.readFileSync(VPN_RANGES_FILE, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.replace(/#.*$/, '').trim())
+      .filter(Boolean);
+
+    vpnCache = { mtimeMs: stat.mtimeMs, list: buildBlockList(entries) };
+  }
+
+  return vpnCache.list;
+};
+
+// Return the error message key an IP should be rejected with, or null if allowed
+const getIpBlockReason = (app, ip) => {
+  const rules = app.ipRules || {};
+  const allow = rules.allow || [];
+  const deny = rules.deny || [];
+
+  // An allow list exempts its IPs from every other check and rejects everyone else
+  if (allow.length > 0) {
+    return matches(buildBlockList(allow), ip) ? null : 'ipBlocked';
+  }
+
+  if (deny.length > 0 && matches(buildBlockList(deny), ip)) {
+    return 'ipBlocked';
+  }
+
+  if (app.settings.blockVpn && matches(getVpnRanges(), ip)) {
+    return 'vpnBlocked';
+  }
+
+  return null;
+};
+
+module.exports = {
+  normalizeIp,
+  isValidRange,
+  getIpBlockReason
+};
\ No newline at end of file
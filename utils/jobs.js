@@ -0,0 +1,42 @@
+const License = require('../models/License');
+const Client = require('../models/Client');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const TrashItem = require('../models/TrashItem');
+const { defineJob } = require('./scheduler');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Register the server's background jobs with the scheduler
+const registerJobs = () => {
+  // Unused licenses past their expiry become EXPIRED
+  defineJob('expire-licenses', MINUTE, async ({ events }) => {
+    const licenses = await License.expireDue();
+    licenses.forEach(license => events.emit('license.expired', license));
+    return { expired: licenses.length };
+  });
+
+  // Clients whose time ran out are marked expired (and their license with them), extended ones renewed
+  defineJob('expire-clients', MINUTE, async ({ events }) => {
+    const { expired, renewed } = await Client.syncExpired();
+    expired.forEach(client => events.emit('client.expired', client));
+    renewed.forEach(client => events.emit('client.renewed', client));
+    return { expired: expired.length, renewed: renewed.length };
+  });
+
+  // Start and finish scheduled maintenance windows
+  defineJob('maintenance-windows', MINUTE, async () => {
+    await MaintenanceWindow.processDue();
+    return null;
+  });
+
+  // Trash past its retention is deleted for good
+  defineJob('purge-trash', HOUR, async () => {
+    const purged = await TrashItem.purgeDue();
+    return { purged };
+  });
+};
+
+module.exports = {
+  registerJobs
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Character sets a mask's "*" positions draw from
+const CHARSETS = {
+  alphanumeric: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+  letters: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  numeric: '0123456789',
+  hex: '0123456789ABCDEF',
+  unambiguous: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789' // No 0/O, 1/I/L
+};
+
+// Mask placeholders: "*" = a character from the charset, "#" = a digit, "@" = a letter.
+// Everything else is copied into the key as-is.
+const PLACEHOLDERS = {
+  '*': null, // Filled in from the chosen charset
+  '#': CHARSETS.numeric,
+  '@': CHARSETS.letters
+};
+
+const DEFAULT_MASK = '****-****-****-****';
+
+// Longest key (prefix plus mask) allowed: license-mode clients use their key as username
+const MAX_KEY_LENGTH = 50;
+
+// Resolve each mask position to the characters it can take (a literal has just itself)
+const compileMask = (mask, charset = 'alphanumeric') => {
+  const chars = CHARSETS[charset];
+  return [...mask].map(symbol => {
+    if (!(symbol in PLACEHOLDERS)) return symbol;
+    return PLACEHOLDERS[symbol] || chars;
+  });
+};
+
+// Number of distinct keys a mask can produce
+const keyspaceSize = (compiled) => {
+  return compiled.reduce((size, choices) => size * choices.length, 1);
+};
+
+// Why a bulk key format can't be used, or null if it can. Keeps random collisions rare: the
+// mask must allow far more keys than requested.
+const checkKeyFormat = ({ count = 1, mask = DEFAULT_MASK, prefix = '', charset = 'alphanumeric' }) => {
+  if (typeof mask !== 'string' || !/^[A-Za-z0-9*#@-]{8,50}$/.test(mask)) {
+    return 'Mask must be 8-50 characters of letters, digits, "-" and the placeholders *, # and @';
+  }
+  if (typeof prefix !== 'string' || !/^[A-Za-z0-9-]{0,20}$/.test(prefix)) {
+    return 'Prefix can be up to 20 letters, digits or "-"';
+  }
+  if (!Object.prototype.hasOwnProperty.call(CHARSETS, charset)) {
+    return `Charset must be one of ${Object.keys(CHARSETS).join(', ')}`;
+  }
+  if (prefix.length + mask.length > MAX_KEY_LENGTH) {
+    return `Prefix and mask together cannot exceed ${MAX_KEY_LENGTH} characters`;
+  }
+  if (keyspaceSize(compileMask(mask, charset)) < count * 1000000) {
+    return 'Mask has too few random positions for this many keys';
+  }
+  return null;
+};
+
+// Generate one key from a compiled mask
+const generateKey = (compiled, prefix = '') => {
+  return prefix + compiled.map(choices => {
+    return choices.length === 1 ? choices : choices[crypto.randomInt(choices.length)];
+  }).join('');
+};
+
+module.exports = {
+  CHARSETS,
+  DEFAULT_MASK,
+  MAX_KEY_LENGTH,
+  compileMask,
+  keyspaceSize,
+  checkKeyFormat,
+  generateKey
+};
\ No newline at end of file
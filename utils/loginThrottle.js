@@ -0,0 +1,105 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const LockoutEvent = require('../models/LockoutEvent');
+
+// Failed attempts allowed per sliding window before a lockout. The app-wide key only raises
+// an alert (a LockoutEvent): anyone can fail logins with an app's public appId, so it must
+// never lock out clients with correct credentials.
+const LIMITS = {
+  ip: { max: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20, windowMs: 15 * 60 * 1000 },
+  identity: { max: parseInt(process.env.LOGIN_IDENTITY_MAX_FAILURES) || 5, windowMs: 15 * 60 * 1000 },
+  app: { max: parseInt(process.env.LOGIN_APP_MAX_FAILURES) || 200, windowMs: 5 * 60 * 1000, alertOnly: true }
+};
+
+// Lockouts double with each repeat, from 1 minute up to a day
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Throttle state (and so the lockout level) is forgotten after two idle days
+const STATE_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+const toKey = (scope, { type, value }) => `${scope}:${type}:${value}`;
+
+// Return the latest lockout expiry among the given keys, or null if none is locked
+const getLockout = async (scope, keys) => {
+  const locking = keys.filter(key => !LIMITS[key.type].alertOnly);
+  const locked = await LoginThrottle.find({
+    key: { $in: locking.map(key => toKey(scope, key)) },
+    lockedUntil: { $gt: new Date() }
+  }).select('lockedUntil');
+
+  if (locked.length === 0) return null;
+  return new Date(Math.max(...locked.map(entry => entry.lockedUntil.getTime())));
+};
+
+// Record a failed login against each key, locking any key that goes over its limit
+const recordFailure = async (scope, keys, { app = null, ip = null } = {}) => {
+  const now = new Date();
+
+  for (const key of keys) {
+    const { max, windowMs } = LIMITS[key.type];
+    const windowStart = new Date(now.getTime() - windowMs);
+
+    // Slide the window and add this failure in one atomic update
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { key: toKey(scope, key) },
+      [{
+        $set: {
+          app,
+          expiresAt: new Date(now.getTime() + STATE_TTL_MS),
+          failures: {
+            $concatArrays: [
+              { $filter: { input: { $ifNull: ['$failures', []] }, cond: { $gt: ['$$this', windowStart] } } },
+              [now]
+            ]
+          }
+        }
+      }],
+      { upsert: true, new: true }
+    );
+
+    if (throttle.failures.length < max) continue;
+
+    // Repeat offenders get progressively longer lockouts
+    const level = throttle.level + 1;
+    const duration = Math.min(BASE_LOCKOUT_MS * Math.pow(2, level - 1), MAX_LOCKOUT_MS);
+
+    throttle.level = level;
+    throttle.lockedUntil = new Date(now.getTime() + duration);
+    throttle.lastLockedAt = now;
+    throttle.failures = [];
+    await throttle.save();
+
+    await LockoutEvent.create({
+      app,
+      scope,
+      keyType: key.type,
+      value: key.value,
+      ip,
+      level,
+      lockedUntil: throttle.lockedUntil
+    });
+  }
+};
+
+// Clear failures for keys after a successful login (IP and app windows keep counting)
+const recordSuccess = async (scope, keys) => {
+  await LoginThrottle.updateMany(
+    { key: { $in: keys.filter(key => key.type === 'identity').map(key => toKey(scope, key)) } },
+    { $set: { failures: [] } }
+  );
+};
+
+// Send the standard response for a locked-out login
+const sendLockedOut = (res, lockedUntil) => {
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Try again after ${lockedUntil.toISOString()}`
+  });
+};
+
+module.exports = {
+  getLockout,
+  recordFailure,
+  recordSuccess,
+  sendLockedOut
+};
\ No newline at end of file
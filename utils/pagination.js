@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Cursor pagination: a cursor records the sort value and _id of the last row returned,
+// and the next page seeks past it instead of skipping rows, so deep pages stay fast.
+
+// Encode the position of a document in a listing sorted by `field` then _id
+const encodeCursor = (doc, field) => {
+  let value = doc.populated(field) || doc.get(field);
+  let type = null;
+
+  if (value instanceof Date) {
+    type = 'date';
+    value = value.toISOString();
+  } else if (value instanceof mongoose.Types.ObjectId) {
+    type = 'id';
+    value = value.toString();
+  }
+
+  const position = { v: value === undefined ? null : value, t: type, id: doc._id.toString() };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+// Decode a cursor into { value, id }, or null if it isn't one of ours
+const decodeCursor = (cursor) => {
+  try {
+    const { v, t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) return null;
+
+    let value = v;
+    if (t === 'date') value = new Date(v);
+    if (t === 'id') value = new mongoose.Types.ObjectId(v);
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query condition for the rows after a cursor position. MongoDB sorts null/missing values
+// before everything else and range operators never match them, so nulls need their own branches.
+const seekCondition = (field, direction, { value, id }) => {
+  const idOp = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const branches = [
+    { [field]: { [idOp]: value } },
+    { [field]: value, _id: { [idOp]: id } }
+  ];
+
+  // Descending listings end with the null/missing values
+  if (direction === -1) {
+    branches.push({ [field]: null });
+  }
+
+  return { $or: branches };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  seekCondition
+};
\ No newline at end of file
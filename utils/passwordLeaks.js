@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Small bundled list of the most common breached passwords, always checked
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'config', 'common-passwords.txt');
+
+// Optional directory of SHA-1 range files imported from a breach corpus (e.g. Pwned Passwords):
+// one file per 5-hex-char prefix ("ABCDE" or "ABCDE.txt") holding "SUFFIX:COUNT" lines
+const LEAKED_PASSWORDS_DIR = process.env.LEAKED_PASSWORDS_DIR;
+
+let commonHashes = null;
+
+const sha1 = (value) => crypto.createHash('sha1').update(value).digest('hex').toUpperCase();
+
+// Load the bundled list once, as SHA-1 hashes
+const getCommonHashes = () => {
+  if (!commonHashes) {
+    let lines = [];
+    try {
+      lines = fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8').split(/\r?\n/);
+    } catch (error) {
+      console.error('Could not read bundled common passwords list:', error.message);
+    }
+    commonHashes = new Set(lines.filter(Boolean).map(sha1));
+  }
+  return commonHashes;
+};
+
+// Read the imported range file for a hash prefix, or null if there is none
+const readRangeFile = async (prefix) => {
+  for (const name of [prefix, `${prefix}.txt`]) {
+    try {
+      return await fs.promises.readFile(path.join(LEAKED_PASSWORDS_DIR, name), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return null;
+};
+
+// Check a password against the offline breached-password corpus
+const isPasswordLeaked = async (password) => {
+  const hash = sha1(password);
+
+  if (getCommonHashes().has(hash)) return true;
+  if (!LEAKED_PASSWORDS_DIR) return false;
+
+  const range = await readRangeFile(hash.slice(0, 5));
+  if (!range) return false;
+
+  const suffix = hash.slice(5);
+  return range.split(/\r?\n/).some(line => line.split(':')[0].trim().toUpperCase() === suffix);
+};
+
+module.exports = {
+  isPasswordLeaked
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+const os = require('os');
+const EventEmitter = require('events');
+const Job = require('../models/Job');
+
+// How often each instance looks for due jobs
+const TICK_MS = parseInt(process.env.SCHEDULER_TICK_MS) || 15 * 1000;
+
+// A crashed instance's lock is taken over after this long
+const LOCK_MS = 5 * 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Jobs emit their domain events here, e.g. 'license.expired' or 'client.expired'
+const events = new EventEmitter();
+
+const jobs = new Map();
+let timer = null;
+let ticking = false;
+
+// Register a job that runs every intervalMs on whichever instance claims it first
+const defineJob = (name, intervalMs, handler) => {
+  jobs.set(name, { intervalMs, handler });
+};
+
+// Run every due job this instance manages to claim
+const tick = async () => {
+  if (ticking) return; // The previous tick is still working
+  ticking = true;
+
+  try {
+    for (const [name, { intervalMs, handler }] of jobs) {
+      const job = await Job.acquire(name, INSTANCE_ID, LOCK_MS);
+      if (!job) continue;
+
+      try {
+        const result = await handler({ events });
+        await job.finish({ intervalMs, result });
+      } catch (error) {
+        console.error(`Job ${name} failed:`, error.message);
+        await job.finish({ intervalMs, error });
+        events.emit('job.failed', { name, error });
+      }
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+// Start polling for due jobs; the timer doesn't keep the process alive on its own
+const start = () => {
+  if (timer) return;
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+};
+
+module.exports = {
+  events,
+  defineJob,
+  start,
+  tick
+};
\ No newline at end of file
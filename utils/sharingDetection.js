@@ -0,0 +1,121 @@
+const ClientLoginEvent = require('../models/ClientLoginEvent');
+const SharingFlag = require('../models/SharingFlag');
+const Session = require('../models/Session');
+const { normalizeIp } = require('./ipFilter');
+const { locateIp, distanceKm } = require('./geoIp');
+
+// IP geolocation is only accurate to a city or so; shorter hops never count as travel
+const MIN_TRAVEL_KM = 100;
+
+// Compare the current login with the client's recent successful logins
+const findViolations = async (rules, client, { ip, hwid }) => {
+  const since = new Date(Date.now() - rules.windowHours * 60 * 60 * 1000);
+
+  const events = await ClientLoginEvent.find({
+    client: client._id,
+    type: { $in: ['login', 'license-login'] },
+    success: true,
+    createdAt: { $gte: since }
+  })
+    .sort({ createdAt: -1 })
+    .select('ip hwid createdAt');
+
+  const violations = [];
+
+  if (rules.maxIps) {
+    const ips = new Set(events.map(event => normalizeIp(event.ip)).filter(Boolean));
+    if (ip) ips.add(normalizeIp(ip));
+
+    if (ips.size > rules.maxIps) {
+      violations.push({
+        rule: 'distinctIps',
+        details: { count: ips.size, limit: rules.maxIps, windowHours: rules.windowHours, values: [...ips] }
+      });
+    }
+  }
+
+  if (rules.maxHwids) {
+    const hwids = new Set(events.map(event => event.hwid).filter(Boolean));
+    if (hwid) hwids.add(hwid);
+
+    if (hwids.size > rules.maxHwids) {
+      violations.push({
+        rule: 'distinctHwids',
+        details: { count: hwids.size, limit: rules.maxHwids, windowHours: rules.windowHours, values: [...hwids] }
+      });
+    }
+  }
+
+  // Impossible travel: the hop from the previous login's location is faster than allowed
+  const previous = events[0];
+  if (rules.impossibleTravel && previous && previous.ip && normalizeIp(previous.ip) !== normalizeIp(ip)) {
+    const [from, to] = await Promise.all([locateIp(previous.ip), locateIp(ip)]);
+
+    if (from && to) {
+      const km = distanceKm(from, to);
+      const hours = Math.max((Date.now() - previous.createdAt.getTime()) / (60 * 60 * 1000), 1 / 60);
+      const speed = km / hours;
+
+      if (km >= MIN_TRAVEL_KM && speed > rules.maxTravelSpeed) {
+        violations.push({
+          rule: 'impossibleTravel',
+          details: {
+            fromIp: normalizeIp(previous.ip),
+            toIp: normalizeIp(ip),
+            distanceKm: Math.round(km),
+            hours: Math.round(hours * 100) / 100,
+            speedKmh: Math.round(speed),
+            limit: rules.maxTravelSpeed
+          }
+        });
+      }
+    }
+  }
+
+  return violations;
+};
+
+// Evaluate the app's sharing rules for a login, flagging the client and applying the
+// configured action. Returns the action taken, or null if nothing new matched.
+const evaluateSharing = async (app, client, { ip, hwid }) => {
+  const rules = app.sharingRules || {};
+  if (!rules.enabled) return null;
+
+  const violations = await findViolations(rules, client, { ip, hwid });
+
+  // A rule already flagged and not yet resolved by the owner isn't flagged (or acted on) again
+  const flags = [];
+  for (const violation of violations) {
+    if (await SharingFlag.exists({ client: client._id, rule: violation.rule, resolved: false })) continue;
+
+    flags.push(await SharingFlag.create({
+      app: app._id,
+      client: client._id,
+      rule: violation.rule,
+      details: violation.details,
+      action: rules.action,
+      ip,
+      hwid
+    }));
+  }
+
+  if (flags.length === 0) return null;
+
+  client.flagged = true;
+
+  if (rules.action === 'ban') {
+    client.ban = true;
+    await client.save();
+    await Session.deleteMany({ client: client._id });
+  } else if (rules.action === 'resetHwid') {
+    await client.resetHwid({ resetBy: 'system', ip });
+  } else {
+    await client.save();
+  }
+
+  return rules.action;
+};
+
+module.exports = {
+  evaluateSharing
+};
\ No newline at end of file